@@ -9,432 +9,200 @@
  * 
  * Data Sources:
  *   - HRSL (High Resolution Settlement Layer): Population distribution
- *   - River flood projections: RCP 8.5 scenario (25-year return period)
+ *   - River flood projections: WRI Aqueduct scenario registry
+ *     (default RCP 8.5, 2030, 25-year return period)
  *   - Administrative boundaries: LLG and provincial levels
  * 
  * Key Metrics:
  *   - Exposed Population: Population within flood-prone areas
  *   - Exposure Ratio: Proportion of population at risk
  *   - Exposure Density: Population density within flood zones
+ *   - EAE: Expected Annual Exposed Population (people per year)
+ *   - Exposed Population and Flood Area per flood depth class
+ *   - Optional: Damage per return period and Average Annual Loss (AAL)
+ * 
+ * Implementation:
+ *   Shared pipeline in lib/PNG_HazardExposure.js; hazard-specific processing
+ *   in lib/hazards/riverineFlood.js.
+ *   Settings below override the plugin defaults.
  * 
  * Date: December 2024
  * ============================================================================
  */
 
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+var riverineFlood = require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/riverineFlood');
+var floodLoss = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_FloodLoss');
+var populationEnsemble = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_PopulationEnsemble');
+var infrastructure = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_Infrastructure');
+var landCover = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_LandCover');
+var vulnerability = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_Vulnerability');
+var accessibility = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_Accessibility');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 var CONFIG = {
-  // Asset paths
-  assetPaths: {
-    flood_rcp85_250: 'projects/sample-task-app-0nnek4/assets/r_flood_rcp8p5_250_2030',
-    flood_rcp85_25: 'projects/sample-task-app-0nnek4/assets/r_flood_rcp8p5_25_2030',
-    llg_boundaries: 'projects/sample-task-app-0nnek4/assets/PNG_LLG'
+  // Scenario for the main map, legend and LLG/province tables
+  floodScenario: {
+    scenario: 'rcp8p5',         // 'historical', 'rcp4p5' or 'rcp8p5'
+    year: 2030,                 // 2030, 2050 or 2080 (historical: 1980)
+    returnPeriod: 25            // 2, 5, 10, 25, 50, 100, 250, 500 or 1000
   },
-  
-  // Analysis parameters
-  scale: 30,                    // Spatial resolution in meters
-  maxPixels: 1e13,              // Maximum pixels for computation
-  tileScale: 4,                 // Use larger tiles to reduce memory errors
-  
-  // Visualization parameters
-  populationMax: 500,           // Maximum population for visualization
-  riskRatioMin: 0,
-  riskRatioMax: 1,
-  
-  // Color palettes
-  palettes: {
-    population: ['red'],
-    floodArea: ['#0000ff'],
-    exposedPop: ['#ff8c00'],
-    riskGradient: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', 
-                   '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
-  },
-  
-  // Export settings
-  exportFolder: 'EarthEngineExports',
-  exportDescriptions: {
-    llg: 'PNG_LLG_Flood_Risk_Analysis',
-    province: 'PNG_Province_Flood_Risk_Summary'
-  }
-};
 
-// ============================================================================
-// DATA LOADING
-// ============================================================================
+  // Minimum flood depth (m) counted as flooded; 0 counts any depth > 0
+  minDepth: 0,
+
+  // Flood depth classes (m): depth > min and ≤ max (max null = open-ended)
+  depthBands: [
+    {min: 0, max: 0.15, label: '0–0.15 m', prefix: 'Depth_Very_Shallow'},
+    {min: 0.15, max: 0.5, label: '0.15–0.5 m', prefix: 'Depth_Shallow'},
+    {min: 0.5, max: 1.5, label: '0.5–1.5 m', prefix: 'Depth_Moderate'},
+    {min: 1.5, max: null, label: '> 1.5 m', prefix: 'Depth_Deep'}
+  ],
+
+  // Expected Annual Exposed Population from the return-period curve of the
+  // selected scenario and year
+  eae: {
+    enabled: false,             // Needs every return period below uploaded
+    returnPeriods: [2, 5, 10, 25, 50, 100, 250, 500, 1000]
+  },
 
-/**
- * Load country boundary for Papua New Guinea
- */
-function loadCountryBoundary() {
-  var countries = ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017');
-  return countries.filter(ee.Filter.eq('country_na', 'Papua New Guinea'));
-}
+  // Optional long-format sweep across scenarios, years and return periods
+  runScenarioSweep: false,
+  scenarioSweep: {
+    scenarios: ['historical', 'rcp4p5', 'rcp8p5'],
+    years: [2030, 2050, 2080],
+    returnPeriods: [25, 100, 250]
+  },
 
-/**
- * Load high-resolution population data and filter for study area
- * @param {ee.Geometry} region - Study area geometry
- * @return {ee.Image} Population distribution image
- */
-function loadPopulationData(region) {
-  return ee.ImageCollection("projects/sat-io/open-datasets/hrsl/hrslpop")
-    .filterBounds(region)
-    .mosaic()
-    .clip(region);
-}
+  // Optional depth-damage economic loss and Average Annual Loss (AAL)
+  runLossAnalysis: false,
+  loss: {
+    curveSet: 'INDICATIVE_GLOBAL',
+    currency: 'USD',
+    categories: {
+      residential: {asset: null, valuePerPerson: 1500},
+      commercial: {asset: null, valuePerPerson: 500},
+      agriculture: {asset: null, valuePerHectare: 2000}
+    }
+  },
 
-/**
- * Load river flood projection data
- * @param {ee.Geometry} region - Study area geometry
- * @return {ee.Image} Flood depth image
- */
-function loadFloodData(region) {
-  return ee.Image(CONFIG.assetPaths.flood_rcp85_25)
-    .clip(region);
-}
+  // Population source: 'hrsl', 'worldpop', 'worldpopConstrained', 'ghspop',
+  // 'landscan' or 'custom' (set populationSettings.<id>.asset)
+  populationSource: 'hrsl',
+  populationYear: 2020,         // Epoch of yearly sources
+
+  // Optional projection of the baseline population to the hazard year;
+  // adds baseline/projected exposure and the growth vs hazard-change split
+  populationProjection: {
+    enabled: false,
+    targetYear: null,           // null = floodScenario.year
+    growth: 'constant',         // 'constant' (annualRate) or 'ssp'
+    annualRate: 0.031,
+    ssp: 'SSP2',
+    provinceRates: {}           // {<province name>: annual rate}
+  },
 
-/**
- * Load administrative boundaries (LLG level)
- * @return {ee.FeatureCollection} LLG boundaries
- */
-function loadAdministrativeBoundaries() {
-  return ee.FeatureCollection(CONFIG.assetPaths.llg_boundaries);
-}
+  // Exposed children under five, elderly, youth and women (HRSL layers);
+  // adds <Group>_Exposed_Population columns and a group selector on the map
+  demographics: {
+    enabled: false,
+    groups: ['under5', 'elderly'], // 'under5', 'youth', 'elderly', 'women', 'womenReproductive'
+    display: 'under5'
+  },
 
-// Initialize data
-var png = loadCountryBoundary();
-var HRSL_general = loadPopulationData(png.geometry());
-var floodDepth = loadFloodData(png.geometry());
-var llg_boundaries = loadAdministrativeBoundaries();
+  // Exposed buildings and built-up area from footprints (Open Buildings,
+  // Microsoft or an asset); per flood depth band
+  buildings: {
+    enabled: false,
+    source: 'openBuildings',    // 'openBuildings', 'microsoft' or 'custom'
+    asset: null                 // Footprints for 'microsoft' / 'custom'
+  },
 
-// ============================================================================
-// PROCESSING FUNCTIONS
-// ============================================================================
+  // Optional re-run with several population sources (exposure spread and
+  // rank stability)
+  runPopulationEnsemble: false,
+  populationEnsemble: {
+    sources: ['hrsl', 'worldpop', 'ghspop', 'landscan']
+  },
 
-/**
- * Create binary flood mask (areas with any flood depth)
- * @param {ee.Image} floodImage - Flood depth image
- * @return {ee.Image} Binary flood mask
- */
-function createFloodMask(floodImage) {
-  return floodImage.gt(0).selfMask();
-}
+  // Optional facility and road exposure (OSM extracts or uploaded
+  // FeatureCollections); exports an exposed-facility table
+  runInfrastructureAnalysis: false,
+  infrastructure: {
+    facilities: {asset: null, typeField: 'amenity', nameField: 'name'},
+    roads: {asset: null, segmentLength: 100}
+  },
 
-/**
- * Calculate exposed population within flood zones
- * @param {ee.Image} population - Population distribution
- * @param {ee.Image} floodMask - Binary flood mask
- * @return {ee.Image} Exposed population
- */
-function calculateExposedPopulation(population, floodMask) {
-  return population.updateMask(floodMask);
-}
+  // Optional cropland, tree-crop, mangrove and forest exposure (hectares)
+  // with the livelihood exposure ratio
+  runLandCoverAnalysis: false,
+  landCover: {
+    product: 'worldcover'       // 'worldcover', 'dynamicWorld' or 'custom'
+  },
 
-/**
- * Calculate flood risk metrics for each LLG (Optimized version)
- * Uses a single multi-band image to reduce computation time
- * 
- * @param {ee.FeatureCollection} boundaries - LLG boundaries
- * @param {ee.Image} population - Population image
- * @param {ee.Image} exposedPop - Exposed population image
- * @param {ee.Image} floodMask - Flood mask
- * @return {ee.FeatureCollection} LLG statistics
- */
-function calculateLLGStatistics(boundaries, population, exposedPop, floodMask) {
-  // Create a multi-band image with all needed layers
-  var popBandName = population.bandNames().get(0);
-  var floodBandName = floodMask.bandNames().get(0);
-  
-  var multiband = ee.Image([
-    population.select([popBandName], ['total_pop']),
-    exposedPop.select([popBandName], ['exposed_pop']),
-    floodMask.select([floodBandName], ['flood_area'])
-  ]);
-  
-  return boundaries.map(function(feature) {
-    var geometry = feature.geometry();
-    var stats = multiband.reduceRegion({
-      reducer: ee.Reducer.sum(),
-      geometry: geometry,
-      scale: CONFIG.scale,
-      maxPixels: CONFIG.maxPixels,
-      bestEffort: true,
-      tileScale: CONFIG.tileScale
-    });
-    
-    // Extract values with null protection
-    var totalPop = ee.Number(ee.Algorithms.If(stats.get('total_pop'), stats.get('total_pop'), 0)).round();
-    var exposedPopCount = ee.Number(ee.Algorithms.If(stats.get('exposed_pop'), stats.get('exposed_pop'), 0)).round();
-    var floodPixels = ee.Number(ee.Algorithms.If(stats.get('flood_area'), stats.get('flood_area'), 0));
-    
-    // Flood area (in km²)
-    var floodAreaKm2 = floodPixels.multiply(900).divide(1e6);  // 30m × 30m = 900m²
-    
-    // Calculate risk metrics with zero-division protection
-    var exposureRatio = ee.Algorithms.If(
-      totalPop.gt(0),
-      exposedPopCount.divide(totalPop),
-      0
-    );
-    
-    var exposureDensity = ee.Algorithms.If(
-      floodAreaKm2.gt(0),
-      exposedPopCount.divide(floodAreaKm2),
-      0
-    );
-    
-    return feature.set({
-      'LLG_Population': totalPop,
-      'Exposed_Population': exposedPopCount,
-      'Flood_Area_km2': floodAreaKm2,
-      'Exposure_Ratio': exposureRatio,
-      'Exposure_Density': exposureDensity
-    });
-  });
-}
+  // Optional social vulnerability index from an LLG indicator table and
+  // risk = hazard × exposure × vulnerability
+  runVulnerabilityAnalysis: false,
+  vulnerability: {
+    table: {asset: null, keyField: 'LLG_CODE'},
+    llgField: null,             // LLG code property of the boundaries
+    riskMethod: 'product'       // 'product' or 'geometric'
+  },
 
-/**
- * Aggregate LLG statistics to provincial level
- * @param {ee.FeatureCollection} llgStats - LLG-level statistics
- * @return {ee.FeatureCollection} Provincial statistics
- */
-function aggregateToProvinceLevel(llgStats) {
-  var provinces = llgStats.aggregate_array('ADM1_EN').distinct();
-  
-  var provinceStats = provinces.map(function(provinceName) {
-    var filtered = llgStats.filter(ee.Filter.eq('ADM1_EN', provinceName));
-    
-    var totalPop = filtered.aggregate_sum('LLG_Population');
-    var exposedPop = filtered.aggregate_sum('Exposed_Population');
-    var floodArea = filtered.aggregate_sum('Flood_Area_km2');
-    
-    // Calculate provincial-level metrics
-    var exposureRatio = ee.Algorithms.If(
-      ee.Number(totalPop).gt(0),
-      ee.Number(exposedPop).divide(ee.Number(totalPop)),
-      0
-    );
-    
-    var exposureDensity = ee.Algorithms.If(
-      ee.Number(floodArea).gt(0),
-      ee.Number(exposedPop).divide(ee.Number(floodArea)),
-      0
-    );
-    
-    return ee.Feature(null, {
-      'Province': provinceName,
-      'Total_Population': totalPop,
-      'Exposed_Population': exposedPop,
-      'Flood_Area_km2': floodArea,
-      'Exposure_Ratio': exposureRatio,
-      'Exposure_Density': exposureDensity
-    });
-  });
-  
-  return ee.FeatureCollection(provinceStats).sort('Province');
-}
+  // Optional travel time of the exposed population to the nearest health
+  // facility or district centre (MAP friction surface)
+  runAccessibilityAnalysis: false,
+  accessibility: {
+    facilities: {asset: null},  // Health facility points
+    districtCentres: {asset: null},
+    remoteThreshold: 360        // Minutes; exposed and remote at or beyond
+  },
 
-/**
- * Calculate national-level exposed population
- * @param {ee.FeatureCollection} llgStats - LLG statistics
- * @return {ee.Number} Total exposed population
- */
-function calculateNationalExposure(llgStats) {
-  return llgStats.aggregate_sum('Exposed_Population');
-}
+  scale: 30,                    // Spatial resolution in meters
+  exportFolder: 'EarthEngineExports'
+};
 
 // ============================================================================
 // ANALYSIS EXECUTION
 // ============================================================================
 
-// Create derived datasets
-var floodMask = createFloodMask(floodDepth);
-var exposedPopulation = calculateExposedPopulation(HRSL_general, floodMask);
-
-// Calculate statistics
-var llg_stats = calculateLLGStatistics(
-  llg_boundaries, 
-  HRSL_general, 
-  exposedPopulation, 
-  floodMask
-);
-
-var province_stats = aggregateToProvinceLevel(llg_stats);
-var nationalExposure = calculateNationalExposure(llg_stats);
+// Runs analysis, map layers, legend, exports and console output
+var results = lib.run(riverineFlood.plugin, CONFIG);
 
-// ============================================================================
-// VISUALIZATION
-// ============================================================================
-
-/**
- * Create exposure ratio raster for visualization
- * @param {ee.FeatureCollection} stats - LLG statistics
- * @return {ee.Image} Rasterized exposure ratio
- */
-function createExposureRatioRaster(stats) {
-  var rasterized = stats.reduceToImage({
-    properties: ['Exposure_Ratio'],
-    reducer: ee.Reducer.first()
-  });
-  
-  // Mask zero values for better visualization
-  return rasterized.updateMask(rasterized.gt(0));
+// Scenario sweep exports (one row per LLG/province and scenario)
+if (CONFIG.runScenarioSweep) {
+  var sweep = riverineFlood.runScenarioSweep(results);
 }
 
-/**
- * Add interactive legend with top provinces
- * @param {ee.FeatureCollection} llgStats - LLG statistics
- * @param {ee.FeatureCollection} provinceStats - Provincial statistics
- */
-function addInteractiveLegend(llgStats, provinceStats) {
-  var legend = ui.Panel({
-    style: {position: 'bottom-left', padding: '8px 15px'}
-  });
-  
-  // Title
-  legend.add(ui.Label({
-    value: 'Flood Exposure Ratio',
-    style: {fontSize: '14px', fontWeight: 'bold'}
-  }));
-  
-  // Color bar
-  var colorBar = ui.Thumbnail({
-    image: ee.Image.pixelLonLat().select(0),
-    params: {
-      bbox: [0, 0, 1, 0.1],
-      dimensions: '200x20',
-      format: 'png',
-      min: 0,
-      max: 1,
-      palette: CONFIG.palettes.riskGradient
-    },
-    style: {stretch: 'horizontal', margin: '0px 8px'}
-  });
-  legend.add(colorBar);
-  
-  // Labels
-  var labels = ui.Panel({
-    widgets: [
-      ui.Label('0.00', {margin: '4px 0px', fontSize: '12px', textAlign: 'left', stretch: 'horizontal'}),
-      ui.Label('0.50', {margin: '4px 0px', fontSize: '12px', textAlign: 'center', stretch: 'horizontal'}),
-      ui.Label('1.00', {margin: '4px 0px', fontSize: '12px', textAlign: 'right', stretch: 'horizontal'})
-    ],
-    layout: ui.Panel.Layout.flow('horizontal')
-  });
-  legend.add(labels);
-  
-  // Calculate national exposure within the function
-  var nationalExp = llgStats.aggregate_sum('Exposed_Population');
-  
-  // National statistics
-  nationalExp.evaluate(function(total) {
-    legend.add(ui.Label({
-      value: 'National Exposed Population: ' + Math.round(total).toLocaleString(),
-      style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
-    }));
-    
-    // Top 5 provinces
-    var top5 = provinceStats.sort('Exposure_Ratio', false).limit(5);
-    
-    legend.add(ui.Label({
-      value: 'Top 5 Provinces by Exposure Ratio',
-      style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
-    }));
-    
-    top5.evaluate(function(fc) {
-      if (fc && fc.features) {
-        fc.features.forEach(function(feature, index) {
-          var name = feature.properties.Province;
-          var ratio = (feature.properties.Exposure_Ratio * 100).toFixed(1);
-          legend.add(ui.Label(
-            (index + 1) + '. ' + name + ': ' + ratio + '%',
-            {fontSize: '12px', margin: '2px 0 0 0'}
-          ));
-        });
-      }
-    });
-  });
-  
-  Map.add(legend);
+// Depth-damage loss and AAL exports
+if (CONFIG.runLossAnalysis) {
+  var loss = floodLoss.runLossAnalysis(results, CONFIG.loss);
 }
 
-// Initialize map
-Map.centerObject(png);
-
-// Add map layers
-Map.addLayer(
-  llg_boundaries.style({color: 'gray', width: 0.5, fillColor: '00000000'}),
-  {},
-  'LLG Boundaries'
-);
-
-Map.addLayer(
-  HRSL_general,
-  {palette: CONFIG.palettes.population, min: 0, max: CONFIG.populationMax},
-  'Population Distribution',
-  false
-);
-
-Map.addLayer(
-  floodMask,
-  {palette: CONFIG.palettes.floodArea, min: 0, max: 1},
-  'Flood Hazard Area'
-);
-
-Map.addLayer(
-  exposedPopulation,
-  {palette: CONFIG.palettes.exposedPop, min: 0, max: CONFIG.populationMax},
-  'Exposed Population'
-);
-
-var exposureRaster = createExposureRatioRaster(llg_stats);
-Map.addLayer(
-  exposureRaster,
-  {
-    min: CONFIG.riskRatioMin,
-    max: CONFIG.riskRatioMax,
-    palette: CONFIG.palettes.riskGradient,
-    opacity: 0.8
-  },
-  'Exposure Ratio (LLG Level)'
-);
-
-// Add legend
-addInteractiveLegend(llg_stats, province_stats);
-
-// Apply dark theme (optional)
-var style = require('users/gena/packages:style');
-style.SetMapStyleDark();
-
-// ============================================================================
-// EXPORT RESULTS
-// ============================================================================
+// Population source ensemble exports (one column group per source)
+if (CONFIG.runPopulationEnsemble) {
+  var ensemble = populationEnsemble.runPopulationEnsemble(results, CONFIG.populationEnsemble);
+}
 
-Export.table.toDrive({
-  collection: llg_stats,
-  description: CONFIG.exportDescriptions.llg,
-  folder: CONFIG.exportFolder,
-  fileFormat: 'CSV'
-});
+// Facility and road exposure exports (counts per hazard class, road km)
+if (CONFIG.runInfrastructureAnalysis) {
+  var infrastructureResults = infrastructure.runInfrastructureAnalysis(results, CONFIG.infrastructure);
+}
 
-Export.table.toDrive({
-  collection: province_stats,
-  description: CONFIG.exportDescriptions.province,
-  folder: CONFIG.exportFolder,
-  fileFormat: 'CSV'
-});
+// Land-cover exposure exports (hectares per category, livelihood ratio)
+if (CONFIG.runLandCoverAnalysis) {
+  var landCoverResults = landCover.runLandCoverAnalysis(results, CONFIG.landCover);
+}
 
-// ============================================================================
-// CONSOLE OUTPUT
-// ============================================================================
+// Vulnerability and risk exports (hazard, exposure, vulnerability, risk)
+if (CONFIG.runVulnerabilityAnalysis) {
+  var risk = vulnerability.runVulnerabilityAnalysis(results, CONFIG.vulnerability);
+}
 
-print('=== PNG FLOOD RISK ANALYSIS ===');
-print('Total LLGs analyzed:', llg_boundaries.size());
-print('Total provinces:', province_stats.size());
-print('');
-print('LLG Statistics (sample):', llg_stats.limit(3));
-print('');
-print('Provincial Statistics:', province_stats);
-print('');
-print('Analysis complete. Check Tasks tab for export status.');
\ No newline at end of file
+// Accessibility exports (exposed population per travel-time band)
+if (CONFIG.runAccessibilityAnalysis) {
+  var access = accessibility.runAccessibilityAnalysis(results, CONFIG.accessibility);
+}
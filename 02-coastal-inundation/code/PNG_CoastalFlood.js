@@ -9,433 +9,216 @@
  * 
  * Data Sources:
  *   - HRSL (High Resolution Settlement Layer): Population distribution
- *   - SRTM DEM (30m): Elevation data for low-lying coastal areas
+ *   - SRTM DEM (30m, default): Elevation data for low-lying coastal areas
+ *     (NASADEM, Copernicus GLO-30, FABDEM, CoastalDEM or a user DEM optional)
+ *   - Sea-level rise projections and extreme sea levels (configuration)
  *   - Administrative boundaries: LLG and provincial levels
  * 
  * Key Metrics:
  *   - Exposed Population: Population in areas ≤10m elevation
  *   - Exposure Ratio: Proportion of population in low-elevation coastal zones
  *   - Exposure Density: Population density within vulnerable coastal areas
+ *   - Optional: Mean, 5th and 95th percentile exposed population under DEM
+ *     vertical error (Monte Carlo)
  * 
  * Methodology Note: 
- *   This analysis uses a simplified elevation threshold (≤10m) as a proxy for
- *   coastal inundation risk. It does not account for sea level rise projections,
- *   storm surge modeling, or coastal protection infrastructure. Results should
- *   be interpreted as indicative exposure to low-lying coastal areas.
+ *   By default this analysis uses a simplified elevation threshold (≤10m) as a
+ *   proxy for coastal inundation risk. Coastal scenarios replace it with a
+ *   water level (mean high water + sea level rise + extreme sea level). The
+ *   connectivity filter keeps only low-lying land connected to the sea. Coastal
+ *   protection infrastructure is not modelled. Results should be interpreted
+ *   as indicative exposure to low-lying coastal areas.
+ * 
+ * Implementation:
+ *   Shared pipeline in lib/PNG_HazardExposure.js; hazard-specific processing
+ *   in lib/hazards/coastalInundation.js.
+ *   Settings below override the plugin defaults.
  * 
  * Date: December 2024
  * ============================================================================
  */
 
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+var coastalInundation = require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/coastalInundation');
+var populationEnsemble = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_PopulationEnsemble');
+var infrastructure = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_Infrastructure');
+var landCover = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_LandCover');
+var vulnerability = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_Vulnerability');
+var accessibility = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_Accessibility');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 var CONFIG = {
-  // Asset paths
-  assetPaths: {
-    llg_boundaries: 'projects/sample-task-app-0nnek4/assets/PNG_LLG'
-  },
-  
-  // Analysis parameters
   elevationThreshold: 10,   // Meters above sea level (LECZ definition)
-  scale: 30,                // Spatial resolution in meters
-  maxPixels: 1e13,          // Maximum pixels for computation
-  tileScale: 4,             // Use larger tiles to reduce memory errors
-  
-  // Visualization parameters
-  populationMax: 500,       // Maximum population for visualization
-  exposureRatioMin: 0,
-  exposureRatioMax: 1,
-  
-  // Color palettes
-  palettes: {
-    population: ['red'],
-    coastalZone: ['navy'],
-    exposedPop: ['yellow'],
-    riskGradient: ['#f2e6ff', '#d9b3ff', '#b366ff', '#8000ff', '#4d0099']
-  },
-  
-  // Export settings
-  exportFolder: 'EarthEngineExports',
-  exportDescriptions: {
-    llg: 'PNG_LLG_Coastal_Exposure_Analysis',
-    province: 'PNG_Province_Coastal_Exposure_Summary'
-  }
-};
 
-// ============================================================================
-// DATA LOADING
-// ============================================================================
+  // Elevation source: 'srtm', 'nasadem', 'copernicus', 'fabdem', 'coastaldem'
+  // (licensed, set its asset) or 'custom'
+  dem: 'srtm',
+  demSettings: {
+    coastaldem: {asset: null},
+    custom: {asset: null, verticalOffset: 0, biasAsset: null}
+  },
 
-/**
- * Load country boundary for Papua New Guinea
- * @return {ee.FeatureCollection} PNG boundary
- */
-function loadCountryBoundary() {
-  var countries = ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017');
-  return countries.filter(ee.Filter.eq('country_na', 'Papua New Guinea'));
-}
+  // Optional side-by-side exposure and provincial ranks per DEM
+  demComparison: {
+    enabled: false,
+    dems: ['srtm', 'nasadem', 'copernicus', 'fabdem']
+  },
 
-/**
- * Load high-resolution population data
- * @param {ee.Geometry} region - Study area geometry
- * @return {ee.Image} Population distribution image
- */
-function loadPopulationData(region) {
-  return ee.ImageCollection("projects/sat-io/open-datasets/hrsl/hrslpop")
-    .filterBounds(region)
-    .mosaic()
-    .clip(region);
-}
+  // Scenario for the main map and tables; null keeps the LECZ threshold
+  // e.g. {slr: 'ssp585', year: 2100, returnPeriod: 100}
+  coastalScenario: null,
 
-/**
- * Load elevation data and create low-elevation coastal zone (LECZ)
- * @param {ee.Geometry} region - Study area geometry
- * @param {number} threshold - Elevation threshold in meters
- * @return {ee.Image} Binary mask of areas below threshold
- */
-function loadElevationData(region, threshold) {
-  var elevation = ee.Image('USGS/SRTMGL1_003')
-    .select('elevation')
-    .clip(region);
-  
-  return elevation.lte(threshold).selfMask();
-}
+  // Water level = mean high water + SLR (pathway, year) + extreme sea level
+  // (return period), in meters; see lib/hazards/coastalInundation.js for the
+  // projection tables
+  waterLevel: {
+    meanHighWater: 0.5
+  },
 
-/**
- * Load administrative boundaries (LLG level)
- * @return {ee.FeatureCollection} LLG boundaries
- */
-function loadAdministrativeBoundaries() {
-  return ee.FeatureCollection(CONFIG.assetPaths.llg_boundaries);
-}
+  // Keep only low-lying land hydraulically connected to the sea (drops inland
+  // basins such as the Sepik and Fly floodplains); distances in meters
+  connectivity: {
+    enabled: false,
+    searchDistance: 100000,
+    maxDistanceFromCoast: null
+  },
 
-// Initialize data
-var png = loadCountryBoundary();
-var HRSL_general = loadPopulationData(png.geometry());
-var coastalZone = loadElevationData(png.geometry(), CONFIG.elevationThreshold);
-var llg_boundaries = loadAdministrativeBoundaries();
+  // Monte Carlo DEM-error uncertainty: mean, 5th and 95th percentile exposed
+  // population per LLG, province and nation (one DEM perturbation per run)
+  uncertainty: {
+    enabled: false,
+    realisations: 20,
+    sigma: 9.7,                 // Meters (SRTM 16m LE90)
+    correlationLength: 1000     // Meters
+  },
 
-// ============================================================================
-// PROCESSING FUNCTIONS
-// ============================================================================
+  // Optional long-format table, one row per LLG/province and scenario
+  runScenarioSweep: false,
+  coastalScenarios: [
+    {slr: 'present', year: 2020, returnPeriod: 100},
+    {slr: 'ssp245', year: 2050, returnPeriod: 100},
+    {slr: 'ssp585', year: 2050, returnPeriod: 100},
+    {slr: 'ssp245', year: 2100, returnPeriod: 100},
+    {slr: 'ssp585', year: 2100, returnPeriod: 100}
+  ],
+
+  // Population source: 'hrsl', 'worldpop', 'worldpopConstrained', 'ghspop',
+  // 'landscan' or 'custom' (set populationSettings.<id>.asset)
+  populationSource: 'hrsl',
+  populationYear: 2020,         // Epoch of yearly sources
+
+  // Optional projection of the baseline population to the hazard year;
+  // adds baseline/projected exposure and the growth vs hazard-change split
+  populationProjection: {
+    enabled: false,
+    targetYear: null,           // null = coastalScenario year (required for the LECZ)
+    growth: 'constant',         // 'constant' (annualRate) or 'ssp'
+    annualRate: 0.031,
+    ssp: 'SSP2',
+    provinceRates: {}           // {<province name>: annual rate}
+  },
 
-/**
- * Calculate exposed population within low-elevation coastal zones
- * @param {ee.Image} population - Population distribution
- * @param {ee.Image} coastalMask - Binary coastal zone mask
- * @return {ee.Image} Exposed population
- */
-function calculateExposedPopulation(population, coastalMask) {
-  return population.updateMask(coastalMask);
-}
+  // Exposed children under five, elderly, youth and women (HRSL layers);
+  // adds <Group>_Exposed_Population columns and a group selector on the map
+  demographics: {
+    enabled: false,
+    groups: ['under5', 'elderly'], // 'under5', 'youth', 'elderly', 'women', 'womenReproductive'
+    display: 'under5'
+  },
 
-/**
- * Calculate coastal exposure metrics for each LLG (Optimized version)
- * Uses a single multi-band image to reduce computation time
- * 
- * @param {ee.FeatureCollection} boundaries - LLG boundaries
- * @param {ee.Image} population - Population image
- * @param {ee.Image} exposedPop - Exposed population image
- * @param {ee.Image} coastalMask - Coastal zone mask
- * @return {ee.FeatureCollection} LLG statistics
- */
-function calculateLLGStatistics(boundaries, population, exposedPop, coastalMask) {
-  // Create a multi-band image with all needed layers
-  var popBandName = population.bandNames().get(0);
-  var elevBandName = 'elevation';
-  
-  var multiband = ee.Image([
-    population.select([popBandName], ['total_pop']),
-    exposedPop.select([popBandName], ['exposed_pop']),
-    coastalMask.select([elevBandName], ['coastal_area'])
-  ]);
-  
-  return boundaries.map(function(feature) {
-    var geometry = feature.geometry();
-    
-    var stats = multiband.reduceRegion({
-      reducer: ee.Reducer.sum(),
-      geometry: geometry,
-      scale: CONFIG.scale,
-      maxPixels: CONFIG.maxPixels,
-      bestEffort: true,
-      tileScale: CONFIG.tileScale
-    });
-    
-    // Extract values with null protection
-    var totalPop = ee.Number(ee.Algorithms.If(stats.get('total_pop'), stats.get('total_pop'), 0)).round();
-    var exposedPopCount = ee.Number(ee.Algorithms.If(stats.get('exposed_pop'), stats.get('exposed_pop'), 0)).round();
-    var coastalPixels = ee.Number(ee.Algorithms.If(stats.get('coastal_area'), stats.get('coastal_area'), 0));
-    
-    // Coastal zone area (in km²)
-    var coastalAreaKm2 = coastalPixels.multiply(900).divide(1e6);  // 30m × 30m = 900m²
-    
-    // Calculate exposure metrics with zero-division protection
-    var exposureRatio = ee.Algorithms.If(
-      totalPop.gt(0),
-      exposedPopCount.divide(totalPop),
-      0
-    );
-    
-    var exposureDensity = ee.Algorithms.If(
-      coastalAreaKm2.gt(0),
-      exposedPopCount.divide(coastalAreaKm2),
-      0
-    );
-    
-    return feature.set({
-      'LLG_Population': totalPop,
-      'Exposed_Population': exposedPopCount,
-      'Coastal_Area_km2': coastalAreaKm2,
-      'Exposure_Ratio': exposureRatio,
-      'Exposure_Density': exposureDensity
-    });
-  });
-}
+  // Exposed buildings and built-up area from footprints (Open Buildings,
+  // Microsoft or an asset)
+  buildings: {
+    enabled: false,
+    source: 'openBuildings',    // 'openBuildings', 'microsoft' or 'custom'
+    asset: null                 // Footprints for 'microsoft' / 'custom'
+  },
 
-/**
- * Aggregate LLG statistics to provincial level
- * @param {ee.FeatureCollection} llgStats - LLG-level statistics
- * @return {ee.FeatureCollection} Provincial statistics
- */
-function aggregateToProvinceLevel(llgStats) {
-  var provinces = llgStats.aggregate_array('ADM1_EN').distinct();
-  
-  var provinceStats = provinces.map(function(provinceName) {
-    var filtered = llgStats.filter(ee.Filter.eq('ADM1_EN', provinceName));
-    
-    var totalPop = filtered.aggregate_sum('LLG_Population');
-    var exposedPop = filtered.aggregate_sum('Exposed_Population');
-    var coastalArea = filtered.aggregate_sum('Coastal_Area_km2');
-    
-    // Calculate provincial-level metrics
-    var exposureRatio = ee.Algorithms.If(
-      ee.Number(totalPop).gt(0),
-      ee.Number(exposedPop).divide(ee.Number(totalPop)),
-      0
-    );
-    
-    var exposureDensity = ee.Algorithms.If(
-      ee.Number(coastalArea).gt(0),
-      ee.Number(exposedPop).divide(ee.Number(coastalArea)),
-      0
-    );
-    
-    return ee.Feature(null, {
-      'Province': provinceName,
-      'Total_Population': totalPop,
-      'Exposed_Population': exposedPop,
-      'Coastal_Area_km2': coastalArea,
-      'Exposure_Ratio': exposureRatio,
-      'Exposure_Density': exposureDensity
-    });
-  });
-  
-  return ee.FeatureCollection(provinceStats).sort('Province');
-}
+  // Optional re-run with several population sources (exposure spread and
+  // rank stability)
+  runPopulationEnsemble: false,
+  populationEnsemble: {
+    sources: ['hrsl', 'worldpop', 'ghspop', 'landscan']
+  },
 
-/**
- * Calculate national-level exposed population
- * @param {ee.FeatureCollection} llgStats - LLG statistics
- * @return {ee.Number} Total exposed population
- */
-function calculateNationalExposure(llgStats) {
-  return llgStats.aggregate_sum('Exposed_Population');
-}
+  // Optional facility and road exposure (OSM extracts or uploaded
+  // FeatureCollections); exports an exposed-facility table
+  runInfrastructureAnalysis: false,
+  infrastructure: {
+    facilities: {asset: null, typeField: 'amenity', nameField: 'name'},
+    roads: {asset: null, segmentLength: 100}
+  },
 
-// ============================================================================
-// ANALYSIS EXECUTION
-// ============================================================================
+  // Optional cropland, tree-crop, mangrove and forest exposure (hectares)
+  // with the livelihood exposure ratio
+  runLandCoverAnalysis: false,
+  landCover: {
+    product: 'worldcover'       // 'worldcover', 'dynamicWorld' or 'custom'
+  },
 
-// Create derived datasets
-var exposedPopulation = calculateExposedPopulation(HRSL_general, coastalZone);
+  // Optional social vulnerability index from an LLG indicator table and
+  // risk = hazard × exposure × vulnerability
+  runVulnerabilityAnalysis: false,
+  vulnerability: {
+    table: {asset: null, keyField: 'LLG_CODE'},
+    llgField: null,             // LLG code property of the boundaries
+    riskMethod: 'product'       // 'product' or 'geometric'
+  },
 
-// Calculate statistics
-var llg_stats = calculateLLGStatistics(
-  llg_boundaries, 
-  HRSL_general, 
-  exposedPopulation, 
-  coastalZone
-);
+  // Optional travel time of the exposed population to the nearest health
+  // facility or district centre (MAP friction surface)
+  runAccessibilityAnalysis: false,
+  accessibility: {
+    facilities: {asset: null},  // Health facility points
+    districtCentres: {asset: null},
+    remoteThreshold: 360        // Minutes; exposed and remote at or beyond
+  },
 
-var province_stats = aggregateToProvinceLevel(llg_stats);
-var nationalExposure = calculateNationalExposure(llg_stats);
+  scale: 30,                // Spatial resolution in meters
+  exportFolder: 'EarthEngineExports'
+};
 
 // ============================================================================
-// VISUALIZATION
+// ANALYSIS EXECUTION
 // ============================================================================
 
-/**
- * Create exposure ratio raster for visualization
- * @param {ee.FeatureCollection} stats - LLG statistics
- * @return {ee.Image} Rasterized exposure ratio
- */
-function createExposureRatioRaster(stats) {
-  var rasterized = stats.reduceToImage({
-    properties: ['Exposure_Ratio'],
-    reducer: ee.Reducer.first()
-  });
-  
-  // Mask zero values for better visualization
-  return rasterized.updateMask(rasterized.gt(0));
-}
+// Runs analysis, map layers, legend, exports and console output
+var results = lib.run(coastalInundation.plugin, CONFIG);
 
-/**
- * Add interactive legend with top provinces
- * @param {ee.FeatureCollection} llgStats - LLG statistics
- * @param {ee.FeatureCollection} provinceStats - Provincial statistics
- */
-function addInteractiveLegend(llgStats, provinceStats) {
-  var legend = ui.Panel({
-    style: {position: 'bottom-left', padding: '8px 15px'}
-  });
-  
-  // Title
-  legend.add(ui.Label({
-    value: 'Coastal Inundation Exposure Ratio',
-    style: {fontSize: '14px', fontWeight: 'bold'}
-  }));
-  
-  // Color bar
-  var colorBar = ui.Thumbnail({
-    image: ee.Image.pixelLonLat().select(0),
-    params: {
-      bbox: [0, 0, 1, 0.1],
-      dimensions: '200x20',
-      format: 'png',
-      min: CONFIG.exposureRatioMin,
-      max: CONFIG.exposureRatioMax,
-      palette: CONFIG.palettes.riskGradient
-    },
-    style: {stretch: 'horizontal', margin: '0px 8px'}
-  });
-  legend.add(colorBar);
-  
-  // Labels
-  var labels = ui.Panel({
-    widgets: [
-      ui.Label('0.00', {margin: '4px 0px', fontSize: '12px', textAlign: 'left', stretch: 'horizontal'}),
-      ui.Label('0.50', {margin: '4px 0px', fontSize: '12px', textAlign: 'center', stretch: 'horizontal'}),
-      ui.Label('1.00', {margin: '4px 0px', fontSize: '12px', textAlign: 'right', stretch: 'horizontal'})
-    ],
-    layout: ui.Panel.Layout.flow('horizontal')
-  });
-  legend.add(labels);
-  
-  // Calculate national exposure within the function
-  var nationalExp = llgStats.aggregate_sum('Exposed_Population');
-  
-  // National statistics
-  nationalExp.evaluate(function(total) {
-    legend.add(ui.Label({
-      value: 'National Exposed Population: ' + Math.round(total).toLocaleString(),
-      style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
-    }));
-    
-    // Top 5 provinces
-    var top5 = provinceStats.sort('Exposure_Ratio', false).limit(5);
-    
-    legend.add(ui.Label({
-      value: 'Top 5 Provinces by Exposure Ratio',
-      style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
-    }));
-    
-    top5.evaluate(function(fc) {
-      if (fc && fc.features) {
-        fc.features.forEach(function(feature, index) {
-          var name = feature.properties.Province;
-          var ratio = (feature.properties.Exposure_Ratio * 100).toFixed(1);
-          legend.add(ui.Label(
-            (index + 1) + '. ' + name + ': ' + ratio + '%',
-            {fontSize: '12px', margin: '2px 0 0 0'}
-          ));
-        });
-      }
-    });
-  });
-  
-  Map.add(legend);
+// Coastal scenario exports (one row per LLG/province and scenario)
+if (CONFIG.runScenarioSweep) {
+  var sweep = coastalInundation.runScenarioSweep(results);
 }
 
-// Initialize map
-Map.centerObject(png);
-
-// Add map layers
-Map.addLayer(
-  llg_boundaries.style({color: 'gray', width: 0.5, fillColor: '00000000'}),
-  {},
-  'LLG Boundaries'
-);
-
-Map.addLayer(
-  HRSL_general,
-  {palette: CONFIG.palettes.population, min: 0, max: CONFIG.populationMax},
-  'Population Distribution',
-  false
-);
-
-Map.addLayer(
-  coastalZone,
-  {palette: CONFIG.palettes.coastalZone, min: 0, max: CONFIG.elevationThreshold},
-  'Low-Elevation Coastal Zone (≤10m)'
-);
-
-Map.addLayer(
-  exposedPopulation,
-  {palette: CONFIG.palettes.exposedPop, min: 0, max: CONFIG.populationMax},
-  'Exposed Population'
-);
-
-var exposureRaster = createExposureRatioRaster(llg_stats);
-Map.addLayer(
-  exposureRaster,
-  {
-    min: CONFIG.exposureRatioMin,
-    max: CONFIG.exposureRatioMax,
-    palette: CONFIG.palettes.riskGradient,
-    opacity: 0.8
-  },
-  'Exposure Ratio (LLG Level)'
-);
-
-// Add legend
-addInteractiveLegend(llg_stats, province_stats);
-
-// Apply dark theme (optional)
-var style = require('users/gena/packages:style');
-style.SetMapStyleDark();
+// DEM comparison exports (one column group per DEM)
+if (CONFIG.demComparison.enabled) {
+  var demComparison = coastalInundation.runDemComparison(results);
+}
 
-// ============================================================================
-// EXPORT RESULTS
-// ============================================================================
+// Population source ensemble exports (one column group per source)
+if (CONFIG.runPopulationEnsemble) {
+  var ensemble = populationEnsemble.runPopulationEnsemble(results, CONFIG.populationEnsemble);
+}
 
-Export.table.toDrive({
-  collection: llg_stats,
-  description: CONFIG.exportDescriptions.llg,
-  folder: CONFIG.exportFolder,
-  fileFormat: 'CSV'
-});
+// Facility and road exposure exports (counts per hazard class, road km)
+if (CONFIG.runInfrastructureAnalysis) {
+  var infrastructureResults = infrastructure.runInfrastructureAnalysis(results, CONFIG.infrastructure);
+}
 
-Export.table.toDrive({
-  collection: province_stats,
-  description: CONFIG.exportDescriptions.province,
-  folder: CONFIG.exportFolder,
-  fileFormat: 'CSV'
-});
+// Land-cover exposure exports (hectares per category, livelihood ratio)
+if (CONFIG.runLandCoverAnalysis) {
+  var landCoverResults = landCover.runLandCoverAnalysis(results, CONFIG.landCover);
+}
 
-// ============================================================================
-// CONSOLE OUTPUT
-// ============================================================================
+// Vulnerability and risk exports (hazard, exposure, vulnerability, risk)
+if (CONFIG.runVulnerabilityAnalysis) {
+  var risk = vulnerability.runVulnerabilityAnalysis(results, CONFIG.vulnerability);
+}
 
-print('=== PNG COASTAL EXPOSURE ANALYSIS ===');
-print('Elevation threshold: ≤' + CONFIG.elevationThreshold + 'm');
-print('Total LLGs analyzed:', llg_boundaries.size());
-print('Total provinces:', province_stats.size());
-print('');
-print('LLG Statistics (sample):', llg_stats.limit(3));
-print('');
-print('Provincial Statistics:', province_stats);
-print('');
-print('Analysis complete. Check Tasks tab for export status.');
\ No newline at end of file
+// Accessibility exports (exposed population per travel-time band)
+if (CONFIG.runAccessibilityAnalysis) {
+  var access = accessibility.runAccessibilityAnalysis(results, CONFIG.accessibility);
+}
@@ -0,0 +1,50 @@
+/**
+ * ============================================================================
+ * COMPOSITE MULTI-HAZARD INDEX FOR PAPUA NEW GUINEA
+ * ============================================================================
+ * 
+ * Purpose: Combine riverine flood, coastal inundation and landslide exposure
+ *          into one prioritisation table at LLG (Local-Level Government) and
+ *          provincial levels.
+ * 
+ * Data Sources:
+ *   - Riverine flood, coastal inundation and landslide pipelines
+ *     (lib/hazards/), run over the same PNG_LLG boundaries
+ * 
+ * Key Metrics:
+ *   - Normalised sub-index and rank per hazard
+ *   - Composite Score: Weighted mean of normalised sub-indices (0-1)
+ *   - Composite Rank: Priority order (1 = highest composite score)
+ * 
+ * Implementation:
+ *   Composite pipeline in lib/PNG_MultiHazard.js.
+ *   Settings below override the module defaults.
+ * 
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var multiHazard = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_MultiHazard');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var CONFIG = {
+  // Relative weight of each hazard in the composite score
+  weights: {
+    riverine_flood: 1,
+    coastal_inundation: 1,
+    landslide: 1
+  },
+  normalization: 'minmax',      // 'minmax' or 'max'
+  populationSource: 'hrsl',     // Shared by every hazard run
+  exportFolder: 'EarthEngineExports'
+};
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+// Runs all hazard pipelines, composite tables, map layers, legend and exports
+var results = multiHazard.run(CONFIG);
@@ -0,0 +1,46 @@
+/**
+ * ============================================================================
+ * MULTI-HAZARD OVERLAP AND COMPOUND EXPOSURE FOR PAPUA NEW GUINEA
+ * ============================================================================
+ * 
+ * Purpose: Count the people living where riverine flood, coastal inundation
+ *          and landslide hazards overlap, at LLG (Local-Level Government) and
+ *          provincial levels, and map compound-exposure hotspots.
+ * 
+ * Data Sources:
+ *   - Riverine flood mask, ≤10m coastal zone and landslide Risk_Level ≥ 3
+ *     from the hazard plugins (lib/hazards/)
+ *   - HRSL (High Resolution Settlement Layer): Population distribution
+ * 
+ * Key Metrics:
+ *   - Population per hazard combination (flood only, flood + coastal, ...)
+ *   - Multi-Hazard Population and Ratio
+ *   - Double-Counted Population across the single-hazard tables
+ * 
+ * Implementation:
+ *   Overlap pipeline in lib/PNG_HazardOverlap.js.
+ *   Settings below override the module defaults.
+ * 
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var overlap = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardOverlap');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var CONFIG = {
+  scale: 30,                    // Common overlap resolution in meters
+  hotspotCellSize: 1000,        // Hotspot grid cell size in meters
+  hotspotMinPopulation: 50,     // Minimum compound-exposed people per cell
+  exportFolder: 'EarthEngineExports'
+};
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+// Runs hazard pipelines, overlap tables, hotspot layer, legend and exports
+var results = overlap.run(CONFIG);
@@ -0,0 +1,417 @@
+/**
+ * ============================================================================
+ * TRAVEL-TIME ACCESSIBILITY OF EXPOSED POPULATIONS FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Show which exposed communities are hardest to reach. Computes
+ *          travel time from every pixel to the nearest health facility or
+ *          district centre over a friction surface, and reports the exposed
+ *          population of any registered hazard in travel-time bands per LLG
+ *          and province, with an "exposed and remote" map layer.
+ *
+ * Data Sources:
+ *   - Friction: MAP global friction surface 2019 (minutes per meter, 1km)
+ *     or a user asset in the same unit
+ *   - Destinations: health facility and/or district centre
+ *     FeatureCollections (OSM extracts or user uploads)
+ *   - Exposed population: hazard analysis (see lib.analyze)
+ *
+ * Key Metrics:
+ *   - Access_<band>_Exposed_Population: exposed people in each travel-time
+ *     band (< 1 h, 1-3 h, 3-6 h, > 6 h by default)
+ *   - Remote_Exposed_Population / Remote_Exposed_Share: exposed people at or
+ *     beyond remoteThreshold (default 6 h) and their share of the exposed
+ *   - Mean_Travel_Time_min: population-weighted mean travel time of the
+ *     exposed population
+ *
+ * Methodology Note:
+ *   Travel time is the least-cost path (ee.Image.cumulativeCost) over the
+ *   friction grid at its native scale, then read at the analysis scale.
+ *   Pixels beyond maxDistance of any destination, or without friction data
+ *   (coastal fringe, small islands, atolls), count in the last band.
+ *   Class hazards count people at or above exposureMinClass as exposed.
+ *   Counts are rounded only at export, so the bands add up to the total.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Friction surface (minutes per meter)
+  friction: {
+    asset: null,                // User friction image, null = MAP surface
+    collection: 'Oxford/MAP/friction_surface_2019',
+    band: 'friction',           // 'friction' (motorised) or
+                                // 'friction_walking_only'
+    scale: 1000                 // Native grid (m) the costs are computed on
+  },
+
+  // Destinations; `values` of typeField select health facilities from a
+  // mixed point layer (null = every feature)
+  facilities: {
+    asset: null,
+    typeField: 'amenity',
+    values: ['hospital', 'clinic', 'health_centre', 'doctors']
+  },
+  districtCentres: {
+    asset: null
+  },
+  maxDistance: 500000,          // Meters; farther pixels are unreachable
+
+  // Travel-time bands in minutes (max null = open-ended)
+  bands: [
+    {min: 0, max: 60, label: '< 1 h', prefix: 'Access_Under_1h'},
+    {min: 60, max: 180, label: '1–3 h', prefix: 'Access_1_3h'},
+    {min: 180, max: 360, label: '3–6 h', prefix: 'Access_3_6h'},
+    {min: 360, max: null, label: '> 6 h', prefix: 'Access_Over_6h'}
+  ],
+  remoteThreshold: 360,         // Minutes; exposed and remote at or beyond
+
+  // Visualization parameters
+  travelTimeMax: 720,
+  palettes: {
+    travelTime: ['#ffffcc', '#a1dab4', '#41b6c4', '#2c7fb8', '#253494'],
+    bands: ['#1a9850', '#fee08b', '#fc8d59', '#d73027'],
+    remote: ['#7a0177']
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Exposed_Accessibility',
+    province: 'PNG_Province_Exposed_Accessibility'
+  }
+};
+
+// Stand-in travel time (minutes) for pixels beyond maxDistance
+var UNREACHABLE_MINUTES = 1e6;
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Load the friction surface
+ * @param {Object} settings - Friction settings
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {ee.Image} Friction (minutes per meter, band 'friction')
+ */
+function loadFriction(settings, region) {
+  var friction = settings.asset ?
+    ee.Image(settings.asset).select([0], ['friction']) :
+    ee.Image(settings.collection).select([settings.band], ['friction']);
+  return friction.clip(region.buffer(settings.scale * 10));
+}
+
+/**
+ * Load the destination points (health facilities and district centres)
+ * @param {Object} accessConfig - Accessibility configuration
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {ee.FeatureCollection} Destinations
+ */
+function loadDestinations(accessConfig, region) {
+  var layers = [];
+
+  if (accessConfig.facilities.asset) {
+    var facilities = ee.FeatureCollection(accessConfig.facilities.asset).filterBounds(region);
+    if (accessConfig.facilities.values) {
+      facilities = facilities.filter(ee.Filter.inList(accessConfig.facilities.typeField, accessConfig.facilities.values));
+    }
+    layers.push(facilities);
+  }
+  if (accessConfig.districtCentres.asset) {
+    layers.push(ee.FeatureCollection(accessConfig.districtCentres.asset).filterBounds(region));
+  }
+
+  if (layers.length === 0) {
+    throw new Error('Accessibility analysis needs facilities.asset or districtCentres.asset');
+  }
+  return ee.FeatureCollection(layers).flatten();
+}
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Travel time to the nearest destination
+ * @param {ee.Image} friction - Friction (minutes per meter)
+ * @param {ee.FeatureCollection} destinations - Destination points
+ * @param {Object} accessConfig - Accessibility configuration
+ * @return {ee.Image} Travel time in minutes (band 'travel_time');
+ *                    unreachable pixels, and pixels without friction data
+ *                    (shoreline fringe, small islands), hold
+ *                    UNREACHABLE_MINUTES
+ */
+function calculateTravelTime(friction, destinations, accessConfig) {
+  var projection = ee.Projection('EPSG:4326').atScale(accessConfig.friction.scale);
+  var sources = ee.Image().toByte().paint(destinations, 1).reproject(projection);
+
+  return friction.cumulativeCost({
+    source: sources,
+    maxDistance: accessConfig.maxDistance
+  })
+    .reproject(projection)
+    .unmask(UNREACHABLE_MINUTES)
+    .rename('travel_time');
+}
+
+/**
+ * Exposed population per pixel
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @return {ee.Image} Exposed population (band 'exposed_pop')
+ */
+function createExposedPopulation(analysis) {
+  var hazardMask = lib.createHazardMask(analysis.plugin, analysis.hazard, analysis.config);
+  return analysis.population.select([0], ['exposed_pop']).updateMask(hazardMask);
+}
+
+/**
+ * Exposed-population bands per travel-time band, remote and time-weighted
+ * @param {ee.Image} exposedPop - Exposed population (see
+ *                                createExposedPopulation)
+ * @param {ee.Image} travelTime - Travel time (see calculateTravelTime)
+ * @param {Object} accessConfig - Accessibility configuration
+ * @return {ee.Image} Multi-band statistics image
+ */
+function buildAccessibilityImage(exposedPop, travelTime, accessConfig) {
+  var bands = [exposedPop];
+
+  accessConfig.bands.forEach(function(band, i) {
+    var inBand = travelTime.gte(band.min);
+    if (band.max !== null) {
+      inBand = inBand.and(travelTime.lt(band.max));
+    }
+    bands.push(exposedPop.updateMask(inBand).rename('band_pop_' + i));
+  });
+
+  bands.push(exposedPop.updateMask(travelTime.gte(accessConfig.remoteThreshold)).rename('remote_pop'));
+
+  // Unreachable pixels are left out of the mean travel time
+  var reachable = travelTime.lt(UNREACHABLE_MINUTES);
+  bands.push(exposedPop.updateMask(reachable).rename('reachable_pop'));
+  bands.push(exposedPop.multiply(travelTime).updateMask(reachable).rename('time_pop'));
+
+  return ee.Image(bands);
+}
+
+/**
+ * Exposed population per travel-time band and remote share
+ * @param {Object} accessConfig - Accessibility configuration
+ * @param {Function} value - function(field, band) returning the value of an
+ *                           output column from its band or column name
+ * @return {Object} Feature properties
+ */
+function accessibilityFields(accessConfig, value) {
+  var properties = {};
+  var exposed = value('Exposed_Population', 'exposed_pop');
+
+  accessConfig.bands.forEach(function(band, i) {
+    var field = band.prefix + '_Exposed_Population';
+    properties[field] = value(field, 'band_pop_' + i);
+  });
+
+  var remote = value('Remote_Exposed_Population', 'remote_pop');
+  properties['Exposed_Population'] = exposed;
+  properties['Remote_Exposed_Population'] = remote;
+  properties['Remote_Exposed_Share'] = lib.safeDivide(remote, exposed);
+  return properties;
+}
+
+/**
+ * Accessibility of the exposed population for each LLG
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {ee.Image} image - Statistics image (see buildAccessibilityImage)
+ * @param {Object} accessConfig - Accessibility configuration
+ * @return {ee.FeatureCollection} LLG accessibility statistics
+ */
+function calculateLLGAccessibility(analysis, image, accessConfig) {
+  var config = analysis.config;
+
+  return analysis.boundaries.map(function(feature) {
+    var stats = lib.reduceSum(image, feature.geometry(), config);
+    var properties = accessibilityFields(accessConfig, function(field, band) {
+      return lib.getNumber(stats, band);
+    });
+
+    properties['Hazard'] = analysis.plugin.name;
+    properties['Reachable_Exposed_Population'] = lib.getNumber(stats, 'reachable_pop');
+    properties['Travel_Time_Pop_min'] = lib.getNumber(stats, 'time_pop');
+    properties['Mean_Travel_Time_min'] = lib.safeDivide(
+      lib.getNumber(stats, 'time_pop'), lib.getNumber(stats, 'reachable_pop'));
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Aggregate LLG accessibility to provincial level
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {ee.FeatureCollection} llgStats - LLG accessibility statistics
+ * @param {Object} accessConfig - Accessibility configuration
+ * @return {ee.FeatureCollection} Provincial accessibility statistics
+ */
+function aggregateAccessibilityToProvince(analysis, llgStats, accessConfig) {
+  var fields = accessConfig.bands.map(function(band) {
+    return band.prefix + '_Exposed_Population';
+  }).concat(['Exposed_Population', 'Remote_Exposed_Population',
+             'Reachable_Exposed_Population', 'Travel_Time_Pop_min']);
+  var sums = lib.sumByProvince(llgStats, fields, analysis.config);
+
+  return sums.map(function(feature) {
+    var properties = accessibilityFields(accessConfig, function(field) {
+      return feature.get(field);
+    });
+    properties['Hazard'] = analysis.plugin.name;
+    properties['Reachable_Exposed_Population'] = feature.get('Reachable_Exposed_Population');
+    properties['Travel_Time_Pop_min'] = feature.get('Travel_Time_Pop_min');
+    properties['Mean_Travel_Time_min'] = lib.safeDivide(
+      feature.get('Travel_Time_Pop_min'), feature.get('Reachable_Exposed_Population'));
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Round population columns for export
+ * Bands are rounded on their running total, so the rounded bands still add
+ * up to the rounded exposed population when the bands cover all times
+ *
+ * @param {ee.FeatureCollection} stats - LLG or provincial statistics
+ * @param {Object} accessConfig - Accessibility configuration
+ * @return {ee.FeatureCollection} Statistics with whole-person counts
+ */
+function roundPopulationFields(stats, accessConfig) {
+  return stats.map(function(feature) {
+    var properties = {};
+    var total = ee.Number(0);
+    var previous = ee.Number(0);
+
+    accessConfig.bands.forEach(function(band) {
+      var field = band.prefix + '_Exposed_Population';
+      total = total.add(feature.get(field));
+      var rounded = total.round();
+      properties[field] = rounded.subtract(previous);
+      previous = rounded;
+    });
+
+    var totals = ['Exposed_Population', 'Remote_Exposed_Population', 'Reachable_Exposed_Population'];
+    totals.forEach(function(field) {
+      properties[field] = ee.Number(feature.get(field)).round();
+    });
+    return feature.set(properties);
+  });
+}
+
+// ============================================================================
+// VISUALIZATION
+// ============================================================================
+
+/**
+ * Add travel-time, band and "exposed and remote" layers with a band legend
+ * @param {ee.Image} exposedPop - Exposed population
+ * @param {ee.Image} travelTime - Travel time (minutes)
+ * @param {ee.FeatureCollection} destinations - Destination points
+ * @param {Object} accessConfig - Accessibility configuration
+ */
+function displayAccessibility(exposedPop, travelTime, destinations, accessConfig) {
+  var exposed = exposedPop.gt(0);
+
+  Map.addLayer(
+    travelTime.updateMask(travelTime.lt(UNREACHABLE_MINUTES)),
+    {min: 0, max: accessConfig.travelTimeMax, palette: accessConfig.palettes.travelTime},
+    'Travel Time to Nearest Facility (min)',
+    false
+  );
+
+  var bandClasses = ee.Image(0);
+  accessConfig.bands.forEach(function(band, i) {
+    bandClasses = bandClasses.where(travelTime.gte(band.min), i + 1);
+  });
+  Map.addLayer(
+    bandClasses.updateMask(exposed),
+    {min: 1, max: accessConfig.bands.length, palette: accessConfig.palettes.bands},
+    'Exposed Population by Travel Time',
+    false
+  );
+
+  Map.addLayer(
+    exposed.selfMask().updateMask(travelTime.gte(accessConfig.remoteThreshold)),
+    {palette: accessConfig.palettes.remote},
+    'Exposed and Remote Settlements'
+  );
+  Map.addLayer(destinations, {color: 'black'}, 'Health Facilities and District Centres', false);
+
+  var legend = lib.createCategoricalLegendPanel('Travel Time (exposed)', accessConfig.bands.map(function(band, i) {
+    return {color: accessConfig.palettes.bands[i], label: band.label};
+  }));
+  legend.style().set('position', 'middle-right');
+  Map.add(legend);
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the accessibility module on a hazard analysis: tables, map layers,
+ * exports
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} overrides - Accessibility configuration overrides
+ * @return {Object} Accessibility results: config, travelTime, llgStats,
+ *                  provinceStats
+ */
+function runAccessibilityAnalysis(analysis, overrides) {
+  var config = analysis.config;
+  var accessConfig = lib.mergeConfig(DEFAULTS, overrides);
+  if (accessConfig.palettes.bands.length !== accessConfig.bands.length) {
+    throw new Error('palettes.bands needs one color per travel-time band');
+  }
+  var region = analysis.region.geometry();
+
+  var destinations = loadDestinations(accessConfig, region);
+  var friction = loadFriction(accessConfig.friction, region);
+  var travelTime = calculateTravelTime(friction, destinations, accessConfig);
+  var exposedPop = createExposedPopulation(analysis);
+
+  var image = buildAccessibilityImage(exposedPop, travelTime, accessConfig);
+  var llgStats = calculateLLGAccessibility(analysis, image, accessConfig);
+  var provinceStats = aggregateAccessibilityToProvince(analysis, llgStats, accessConfig);
+
+  displayAccessibility(exposedPop, travelTime, destinations, accessConfig);
+
+  lib.exportTable(roundPopulationFields(llgStats, accessConfig),
+                  accessConfig.exportDescriptions.llg, config);
+  lib.exportTable(roundPopulationFields(provinceStats, accessConfig),
+                  accessConfig.exportDescriptions.province, config);
+
+  print('Exposed and remote (>= ' + accessConfig.remoteThreshold + ' min):',
+        llgStats.aggregate_sum('Remote_Exposed_Population'));
+  print('Provincial Accessibility of Exposed Population:', provinceStats);
+
+  return {
+    config: accessConfig,
+    travelTime: travelTime,
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.loadFriction = loadFriction;
+exports.loadDestinations = loadDestinations;
+exports.calculateTravelTime = calculateTravelTime;
+exports.createExposedPopulation = createExposedPopulation;
+exports.buildAccessibilityImage = buildAccessibilityImage;
+exports.calculateLLGAccessibility = calculateLLGAccessibility;
+exports.aggregateAccessibilityToProvince = aggregateAccessibilityToProvince;
+exports.displayAccessibility = displayAccessibility;
+exports.runAccessibilityAnalysis = runAccessibilityAnalysis;
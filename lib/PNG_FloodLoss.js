@@ -0,0 +1,326 @@
+/**
+ * ============================================================================
+ * FLOOD ECONOMIC LOSS AND AVERAGE ANNUAL LOSS FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Apply depth-damage functions to gridded asset values for every
+ *          Aqueduct return period of the selected flood scenario and year.
+ *          Reports expected damage per return period and Average Annual Loss
+ *          (AAL) per LLG and province, next to the flood exposure fields.
+ *
+ * Data Sources:
+ *   - Flood depth: riverine flood plugin (lib/hazards/riverineFlood.js)
+ *   - Damage curves: lib/data/depthDamageCurves.js (or a custom table)
+ *   - Asset values per category: user asset (value per pixel) or proxies
+ *       residential / commercial - HRSL population × value per person
+ *       agriculture              - ESA WorldCover cropland × value per hectare
+ *
+ * Key Metrics:
+ *   - Damage_RP<n>: Expected damage for the n-year flood (all categories)
+ *   - AAL_<Category> / AAL_Total: Average Annual Loss (currency per year)
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+var riverineFlood = require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/riverineFlood');
+var damageCurves = require('users/penkamichel/png-multi-hazard-assessment:lib/data/depthDamageCurves');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Return periods forming the loss-exceedance curve
+  returnPeriods: [2, 5, 10, 25, 50, 100, 250, 500, 1000],
+
+  // Depth-damage curves: name in damageCurves.CURVE_SETS, or set `curves`
+  // to a table object of the same shape
+  curveSet: 'INDICATIVE_GLOBAL',
+  curves: null,
+
+  // Asset values per category. `asset` is an ee.Image path holding value per
+  // pixel; without it the proxy unit values below are used (placeholders,
+  // replace with local replacement costs)
+  categories: {
+    residential: {label: 'Residential', asset: null, valuePerPerson: 1500},
+    commercial: {label: 'Commercial', asset: null, valuePerPerson: 500},
+    agriculture: {label: 'Agriculture', asset: null, valuePerHectare: 2000}
+  },
+  currency: 'USD',
+
+  // Visualization parameters
+  aalMax: 1e6,
+  palettes: {
+    aal: ['#fff5eb', '#fdd0a2', '#fd8d3c', '#d94801', '#7f2704']
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Flood_Loss_Analysis',
+    province: 'PNG_Province_Flood_Loss_Summary'
+  }
+};
+
+// Flood exposure fields summed alongside the loss fields
+var EXPOSURE_FIELDS = ['LLG_Population', 'Exposed_Population'];
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Resolve the depth-damage curve table
+ * @param {Object} lossConfig - Loss configuration
+ * @return {Object} Curve table {source, depths, <category>: fractions}
+ */
+function getCurveTable(lossConfig) {
+  var table = lossConfig.curves || damageCurves.CURVE_SETS[lossConfig.curveSet];
+  if (!table) {
+    throw new Error('Unknown depth-damage curve set: ' + lossConfig.curveSet);
+  }
+
+  Object.keys(lossConfig.categories).forEach(function(category) {
+    if (!table[category] || table[category].length !== table.depths.length) {
+      throw new Error('Curve set has no valid "' + category + '" curve');
+    }
+  });
+  return table;
+}
+
+/**
+ * Load the asset value image of one category
+ * @param {Object} settings - Category settings
+ * @param {ee.Image} population - Population image
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {ee.Image} Asset value per pixel
+ */
+function loadValueImage(settings, population, region) {
+  if (settings.asset) {
+    return ee.Image(settings.asset).select(0).clip(region);
+  }
+  if (settings.valuePerPerson) {
+    return population.select(0).multiply(settings.valuePerPerson);
+  }
+  if (settings.valuePerHectare) {
+    var cropland = ee.ImageCollection('ESA/WorldCover/v200').first()
+      .select('Map').eq(40).selfMask()
+      .clip(region);
+    return cropland.multiply(ee.Image.pixelArea().divide(1e4)).multiply(settings.valuePerHectare);
+  }
+  throw new Error('Loss category needs an asset, valuePerPerson or valuePerHectare');
+}
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Apply a depth-damage curve to a flood depth image
+ * @param {ee.Image} floodDepth - Flood depth (m)
+ * @param {Array<number>} depths - Curve depths (m)
+ * @param {Array<number>} fractions - Damage fractions at each depth
+ * @param {number} minDepth - Minimum depth counted as flooded
+ * @return {ee.Image} Damage fraction (0-1)
+ */
+function applyDamageCurve(floodDepth, depths, fractions, minDepth) {
+  var depth = floodDepth.select(0);
+  return depth.interpolate(depths, fractions, 'clamp')
+    .updateMask(depth.gt(minDepth || 0));
+}
+
+/**
+ * Build damage bands for every return period and category
+ * @param {Object} analysis - Flood analysis results (see lib.analyze)
+ * @param {Object} lossConfig - Loss configuration
+ * @return {ee.Image} Multi-band damage image (damage_<category>_rp<n>)
+ */
+function buildDamageImage(analysis, lossConfig) {
+  var config = analysis.config;
+  var region = analysis.region.geometry();
+  var table = getCurveTable(lossConfig);
+  var scenario = config.floodScenario;
+  var bands = [];
+
+  var values = {};
+  Object.keys(lossConfig.categories).forEach(function(category) {
+    values[category] = loadValueImage(lossConfig.categories[category], analysis.population, region);
+  });
+
+  lossConfig.returnPeriods.forEach(function(returnPeriod) {
+    var descriptor = riverineFlood.describeScenario(scenario.scenario, scenario.year, returnPeriod);
+    var floodDepth = riverineFlood.loadFloodData(region, config, descriptor);
+
+    Object.keys(lossConfig.categories).forEach(function(category) {
+      var fraction = applyDamageCurve(floodDepth, table.depths, table[category], config.minDepth);
+      bands.push(values[category].multiply(fraction)
+        .rename('damage_' + category + '_rp' + returnPeriod));
+    });
+  });
+
+  return ee.Image(bands);
+}
+
+/**
+ * Capitalised category name used in column names
+ * @param {string} category - Category key
+ * @return {string} Column name fragment
+ */
+function categoryField(category) {
+  return category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+/**
+ * Derive damage per return period and AAL from per-category damages
+ * @param {Object} damages - damages[category][returnPeriod] = ee.Number
+ * @param {Object} lossConfig - Loss configuration
+ * @return {Object} Feature properties
+ */
+function lossMetrics(damages, lossConfig) {
+  var returnPeriods = lossConfig.returnPeriods.slice().sort(function(a, b) { return a - b; });
+  var categories = Object.keys(lossConfig.categories);
+  var properties = {};
+  var totalAAL = ee.Number(0);
+
+  returnPeriods.forEach(function(returnPeriod) {
+    var total = ee.Number(0);
+    categories.forEach(function(category) {
+      total = total.add(damages[category][returnPeriod]);
+    });
+    properties['Damage_RP' + returnPeriod] = total;
+  });
+
+  categories.forEach(function(category) {
+    var points = returnPeriods.map(function(returnPeriod) {
+      return {probability: 1 / returnPeriod, value: damages[category][returnPeriod]};
+    });
+    var aal = riverineFlood.integrateExceedanceCurve(points);
+    properties['AAL_' + categoryField(category)] = aal;
+    totalAAL = totalAAL.add(aal);
+  });
+
+  properties['AAL_Total'] = totalAAL;
+  return properties;
+}
+
+/**
+ * Calculate damages and AAL for each LLG
+ * Reduces the damage image once per LLG and keeps the flood exposure fields
+ *
+ * @param {Object} analysis - Flood analysis results (see lib.analyze)
+ * @param {Object} lossConfig - Loss configuration
+ * @return {ee.FeatureCollection} LLG loss statistics
+ */
+function calculateLLGLoss(analysis, lossConfig) {
+  var config = analysis.config;
+  var damageImage = buildDamageImage(analysis, lossConfig);
+  var categories = Object.keys(lossConfig.categories);
+
+  return analysis.llgStats.map(function(feature) {
+    var stats = lib.reduceSum(damageImage, feature.geometry(), config);
+
+    var damages = {};
+    categories.forEach(function(category) {
+      damages[category] = {};
+      lossConfig.returnPeriods.forEach(function(returnPeriod) {
+        damages[category][returnPeriod] = lib.getNumber(stats, 'damage_' + category + '_rp' + returnPeriod);
+      });
+    });
+
+    var properties = lossMetrics(damages, lossConfig);
+    properties['Currency'] = lossConfig.currency;
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Loss fields summed from LLG to province and nation
+ * @param {Object} lossConfig - Loss configuration
+ * @return {Array<string>} Field names
+ */
+function listLossFields(lossConfig) {
+  var fields = lossConfig.returnPeriods.map(function(returnPeriod) {
+    return 'Damage_RP' + returnPeriod;
+  });
+  Object.keys(lossConfig.categories).forEach(function(category) {
+    fields.push('AAL_' + categoryField(category));
+  });
+  fields.push('AAL_Total');
+  return fields;
+}
+
+/**
+ * Aggregate LLG losses to provincial level
+ * @param {ee.FeatureCollection} llgLoss - LLG loss statistics
+ * @param {Object} lossConfig - Loss configuration
+ * @param {Object} config - Flood run configuration
+ * @return {ee.FeatureCollection} Provincial loss statistics
+ */
+function aggregateLossToProvince(llgLoss, lossConfig, config) {
+  var sums = lib.sumByProvince(llgLoss, EXPOSURE_FIELDS.concat(listLossFields(lossConfig)), config);
+
+  return sums.map(function(feature) {
+    var totalPop = feature.get('LLG_Population');
+    return ee.Feature(null, feature.toDictionary().remove(['LLG_Population']))
+      .set({
+        'Total_Population': totalPop,
+        'Exposure_Ratio': lib.safeDivide(feature.get('Exposed_Population'), totalPop),
+        'Currency': lossConfig.currency
+      });
+  });
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the loss module on a flood analysis: tables, map layer, exports
+ * @param {Object} analysis - Flood analysis results (see lib.analyze)
+ * @param {Object} overrides - Loss configuration overrides
+ * @return {Object} Loss results: config, llgLoss, provinceLoss, nationalAAL
+ */
+function runLossAnalysis(analysis, overrides) {
+  var config = analysis.config;
+  var lossConfig = lib.mergeConfig(DEFAULTS, overrides);
+
+  var llgLoss = calculateLLGLoss(analysis, lossConfig);
+  var provinceLoss = aggregateLossToProvince(llgLoss, lossConfig, config);
+  var nationalAAL = llgLoss.aggregate_sum('AAL_Total');
+
+  Map.addLayer(
+    lib.createLLGRaster(llgLoss, 'AAL_Total'),
+    {min: 0, max: lossConfig.aalMax, palette: lossConfig.palettes.aal, opacity: 0.8},
+    'Average Annual Loss (LLG Level)',
+    false
+  );
+
+  lib.exportTable(llgLoss, lossConfig.exportDescriptions.llg, config);
+  lib.exportTable(provinceLoss, lossConfig.exportDescriptions.province, config);
+
+  print('Flood loss curves:', getCurveTable(lossConfig).source);
+  print('National AAL (' + lossConfig.currency + '/year):', nationalAAL);
+  print('Provincial Loss:', provinceLoss);
+
+  return {
+    config: lossConfig,
+    llgLoss: llgLoss,
+    provinceLoss: provinceLoss,
+    nationalAAL: nationalAAL
+  };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.getCurveTable = getCurveTable;
+exports.loadValueImage = loadValueImage;
+exports.applyDamageCurve = applyDamageCurve;
+exports.buildDamageImage = buildDamageImage;
+exports.calculateLLGLoss = calculateLLGLoss;
+exports.aggregateLossToProvince = aggregateLossToProvince;
+exports.runLossAnalysis = runLossAnalysis;
@@ -0,0 +1,2023 @@
+/**
+ * ============================================================================
+ * SHARED HAZARD EXPOSURE LIBRARY FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Common pipeline used by every hazard script: country boundary and
+ *          population loading, LLG zonal statistics, provincial aggregation,
+ *          map layers, interactive legend, table exports and console output.
+ *          Each hazard is registered as a plugin (see lib/hazards/) that only
+ *          supplies its hazard image and its metric names.
+ *
+ * Usage:
+ *   var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+ *   var flood = require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/riverineFlood');
+ *   var results = lib.run(flood.plugin, {scale: 30});
+ *
+ * Plugin interface (passed to registerHazard):
+ *   id          {string}   Unique hazard identifier
+ *   name        {string}   Display name
+ *   fieldPrefix {string}   Short prefix for columns in multi-hazard tables
+ *   type        {string}   'mask'    - binary hazard mask (1 = hazard)
+ *                          'classes' - ordinal hazard classes (config.classes)
+ *   metrics     {Object}   Metric names:
+ *                            area  - hazard area field (required for mask
+ *                                    type; classes type: area of classes
+ *                                    >= exposureMinClass)
+ *                            score - weighted class score field (classes type)
+ *                            index - LLG field used as the hazard sub-index
+ *                            provinceIndex - provincial sub-index field
+ *   defaults    {Object}   Hazard configuration merged over DEFAULTS
+ *   buildHazard {Function} function(region, config) returning
+ *                          {image: ee.Image, layers: Array<Object>}; layers
+ *                          are {image, vis, name, shown, legend} where the
+ *                          optional legend {title, items} adds a categorical
+ *                          legend panel
+ *   summaryLines {Function} Optional: function(config) returning extra
+ *                           console lines
+ *   configure   {Function} Optional: function(config) returning the run
+ *                          configuration with derived settings filled in
+ *                          (called after defaults and overrides are merged)
+ *
+ * Optional statistics hooks (add columns to the shared tables):
+ *   statisticBands   function(population, hazardData, config) returning
+ *                    extra ee.Image bands summed per LLG with the core bands
+ *                    (hazardData is the object returned by buildHazard)
+ *   llgMetrics       function(stats, totalPop, config) returning extra LLG
+ *                    properties from the reduced band sums
+ *   provinceMetrics  function(filtered, totalPop, config) returning extra
+ *                    provincial properties from the province's LLG rows
+ *   nationalMetrics  function(analysis) returning extra national totals
+ *
+ * Optional class breakdown hook (buildings.enabled):
+ *   exposureClasses  function(hazardData, config) returning {image, classes}
+ *                    where classes are [{value, prefix}] of image; exposed
+ *                    buildings are reported per class (default for classes
+ *                    hazards: the hazard classes)
+ *
+ * Optional projection hooks (populationProjection.enabled):
+ *   hazardYear       function(config) returning the hazard time horizon,
+ *                    used as the projection target year
+ *   baselineConfig   function(config) returning the configuration of the
+ *                    present-day hazard (null when the hazard is static)
+ *
+ * Population sources and aggregation:
+ *   config.populationSource selects an entry of POPULATION_SOURCES. Runs
+ *   coarser than the source grid (e.g. landslide at 100m on HRSL) sum the
+ *   counts onto the analysis grid; sources coarser than the analysis grid
+ *   (e.g. LandScan at 1km) are spread by pixel area, so LLG_Population
+ *   matches across hazards and scales.
+ *   checkPopulationConsistency compares LLG totals between hazard runs
+ *   inside the composite and overlap scripts; mismatching LLGs are
+ *   printed and exported.
+ *
+ * Population projection:
+ *   With populationProjection.enabled the baseline grid is scaled to the
+ *   hazard year with national, SSP, provincial or LLG growth rates (optional
+ *   urban/rural differential). Exposure change from the baseline is split
+ *   into population growth and hazard change.
+ *
+ * Building exposure:
+ *   With buildings.enabled footprints from BUILDING_SOURCES are counted at
+ *   their centroid pixel, so exposed buildings and built-up area sit next to
+ *   Exposed_Population in the LLG and provincial tables.
+ *
+ * Area accounting:
+ *   Areas are sums of geodesic pixel area (ee.Image.pixelArea) in km², so
+ *   they hold on any grid, projection or bestEffort scale. Every table
+ *   records the method in Area_Method.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var populationGrowth = require('users/penkamichel/png-multi-hazard-assessment:lib/data/populationGrowth');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Asset paths
+  assetPaths: {
+    llg_boundaries: 'projects/sample-task-app-0nnek4/assets/PNG_LLG'
+  },
+
+  // Shared datasets
+  countryName: 'Papua New Guinea',
+  // Population source (see POPULATION_SOURCES): 'hrsl', 'worldpop',
+  // 'worldpopConstrained', 'ghspop', 'landscan' or 'custom'
+  populationSource: 'hrsl',
+  populationYear: 2020,         // Epoch of yearly sources (WorldPop, GHS-POP, LandScan)
+  populationSettings: {
+    worldpopConstrained: {asset: null},   // WorldPop constrained PNG GeoTIFF
+    custom: {asset: null, band: 0, scale: null}
+  },
+  provinceField: 'ADM1_EN',
+
+  // Analysis parameters
+  scale: 30,                    // Spatial resolution in meters
+  populationScale: null,        // Native population grid (m), null = from the
+                                // source; coarser runs sum counts onto the
+                                // analysis grid
+  maxPixels: 1e13,              // Maximum pixels for computation
+  tileScale: 4,                 // Use larger tiles to reduce memory errors
+
+  // Cross-hazard LLG population check: LLG totals of different hazard runs
+  // may differ by at most max(absoluteTolerance, tolerance × LLG total)
+  populationCheck: {
+    tolerance: 0.02,
+    absoluteTolerance: 50
+  },
+
+  // Projection of the baseline population to the hazard year
+  populationProjection: {
+    enabled: false,
+    targetYear: null,           // null = hazard year of the plugin
+    baseYear: null,             // null = populationYear
+    growth: 'constant',         // 'constant' (annualRate) or 'ssp'
+    annualRate: 0.031,          // National annual growth rate
+    ssp: 'SSP2',                // Pathway in lib/data/populationGrowth.js
+    provinceRates: {},          // {<province name>: annual rate}
+    llgRates: {},               // {<LLG code>: annual rate}, needs llgField
+    llgField: null,             // LLG code property of the boundaries
+    rateTable: {                // Optional FeatureCollection of rates, e.g.
+      asset: null,              // subnational SSP projections
+      level: 'province',        // 'province' or 'llg'
+      keyField: null,
+      rateField: 'growth_rate'
+    },
+    urban: {                    // Urban/rural differential (GHS-SMOD)
+      enabled: false,
+      collection: 'JRC/GHSL/P2023A/GHS_SMOD',
+      minClass: 21,             // Degree of urbanisation: 21+ = urban cluster
+      urbanOffset: 0.01,        // Added to the rate in urban pixels
+      ruralOffset: -0.005       // Added to the rate elsewhere
+    }
+  },
+
+  // Vulnerable demographic groups (HRSL companion layers, see
+  // DEMOGRAPHIC_GROUPS); `display` is the group first shown on the map
+  demographics: {
+    enabled: false,
+    groups: ['under5', 'elderly'],
+    display: 'under5',
+    max: 100,                   // Maximum group population for visualization
+    collections: {}             // {<group id>: ImageCollection id} overrides
+  },
+
+  // Building footprint exposure (see BUILDING_SOURCES): counts and
+  // built-up area per LLG, hazard class or flood depth band
+  buildings: {
+    enabled: false,
+    source: 'openBuildings',    // 'openBuildings', 'microsoft' or 'custom'
+    asset: null,                // Footprint FeatureCollection ('microsoft',
+                                // 'custom' or a local Open Buildings extract)
+    areaField: null,            // Footprint area (m²) property, null = from
+                                // the source or the footprint geometry
+    minConfidence: 0.75         // Open Buildings detection confidence
+  },
+
+  // Visualization parameters
+  populationMax: 500,           // Maximum population for visualization
+  palettes: {
+    population: ['red']
+  },
+
+  // Export settings
+  exportFolder: 'EarthEngineExports'
+};
+
+var HAZARD_TYPES = ['mask', 'classes'];
+
+// Gridded population products: scale is the native grid in meters; yearly
+// sources are filtered to config.populationYear
+var POPULATION_SOURCES = {
+  hrsl: {label: 'HRSL (Meta/CIESIN)', fieldPrefix: 'HRSL', collection: 'projects/sat-io/open-datasets/hrsl/hrslpop', band: 0, scale: 30, yearly: false},
+  worldpop: {label: 'WorldPop unconstrained', fieldPrefix: 'WorldPop', collection: 'WorldPop/GP/100m/pop', band: 'population', scale: 100, yearly: true},
+  worldpopConstrained: {label: 'WorldPop constrained', fieldPrefix: 'WorldPopC', band: 0, scale: 100, yearly: false},
+  ghspop: {label: 'GHS-POP (JRC)', fieldPrefix: 'GHSPOP', collection: 'JRC/GHSL/P2023A/GHS_POP', band: 'population_count', scale: 100, yearly: true,
+           epochs: [1975, 1980, 1985, 1990, 1995, 2000, 2005, 2010, 2015, 2020, 2025, 2030]},
+  landscan: {label: 'LandScan Global (ORNL)', fieldPrefix: 'LandScan', collection: 'projects/sat-io/open-datasets/ORNL/LANDSCAN_GLOBAL', band: 'b1', scale: 1000, yearly: true},
+  custom: {label: 'User population', fieldPrefix: 'Custom_Pop', band: 0, scale: null, yearly: false}
+};
+
+// HRSL demographic layers (people per pixel of each group)
+var DEMOGRAPHIC_GROUPS = {
+  under5: {label: 'Children under five', fieldPrefix: 'Under5', collection: 'projects/sat-io/open-datasets/hrsl/hrsl_children_under_five'},
+  youth: {label: 'Youth (15-24)', fieldPrefix: 'Youth', collection: 'projects/sat-io/open-datasets/hrsl/hrsl_youth'},
+  elderly: {label: 'Elderly (60+)', fieldPrefix: 'Elderly', collection: 'projects/sat-io/open-datasets/hrsl/hrsl_elderly_60_plus'},
+  women: {label: 'Women', fieldPrefix: 'Women', collection: 'projects/sat-io/open-datasets/hrsl/hrsl_women'},
+  womenReproductive: {label: 'Women of reproductive age (15-49)', fieldPrefix: 'Women_15_49', collection: 'projects/sat-io/open-datasets/hrsl/hrsl_women_reproductive_age'}
+};
+
+// Building footprint products: areaField holds the footprint area in m²
+// (null = computed from the geometry)
+var BUILDING_SOURCES = {
+  openBuildings: {label: 'Google Open Buildings v3', collection: 'GOOGLE/Research/open-buildings/v3/polygons', areaField: 'area_in_meters', confidenceField: 'confidence'},
+  microsoft: {label: 'Microsoft Building Footprints', areaField: null, confidenceField: null},
+  custom: {label: 'User building footprints', areaField: null, confidenceField: null}
+};
+
+// Registered hazard plugins, keyed by id
+var registry = {};
+
+// ============================================================================
+// PLUGIN REGISTRY
+// ============================================================================
+
+/**
+ * Register a hazard plugin with the shared pipeline
+ * @param {Object} plugin - Hazard plugin (see module header)
+ * @return {Object} The registered plugin
+ */
+function registerHazard(plugin) {
+  if (!plugin || !plugin.id) {
+    throw new Error('Hazard plugin must define an id');
+  }
+  if (HAZARD_TYPES.indexOf(plugin.type) === -1) {
+    throw new Error('Hazard plugin "' + plugin.id + '" has unknown type: ' + plugin.type);
+  }
+  if (typeof plugin.buildHazard !== 'function') {
+    throw new Error('Hazard plugin "' + plugin.id + '" must define buildHazard()');
+  }
+
+  plugin.metrics = plugin.metrics || {};
+  plugin.defaults = plugin.defaults || {};
+  registry[plugin.id] = plugin;
+  return plugin;
+}
+
+/**
+ * Look up a registered hazard plugin
+ * @param {string} id - Hazard identifier
+ * @return {Object} Hazard plugin
+ */
+function getHazard(id) {
+  if (!registry[id]) {
+    throw new Error('Unknown hazard: ' + id);
+  }
+  return registry[id];
+}
+
+/**
+ * Strip the per-hazard hooks from a plugin, leaving only the core fields.
+ * Used when aggregating tables (scenario sweeps) that do not carry the
+ * columns the hooks read.
+ * @param {Object} plugin - Hazard plugin
+ * @return {Object} Plugin view with id, name, fieldPrefix, type and metrics
+ */
+function corePlugin(plugin) {
+  return {
+    id: plugin.id,
+    name: plugin.name,
+    fieldPrefix: plugin.fieldPrefix,
+    type: plugin.type,
+    metrics: plugin.metrics
+  };
+}
+
+/**
+ * List identifiers of all registered hazard plugins
+ * @return {Array<string>} Hazard identifiers
+ */
+function listHazards() {
+  return Object.keys(registry);
+}
+
+// ============================================================================
+// CONFIGURATION HELPERS
+// ============================================================================
+
+/**
+ * Check whether a value is a plain configuration object
+ * (Earth Engine objects and arrays are treated as opaque values)
+ * @param {*} value - Value to test
+ * @return {boolean} True for object literals
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+/**
+ * Deep-merge configuration objects; later arguments take precedence
+ * @param {...Object} var_args - Configuration objects
+ * @return {Object} New merged configuration
+ */
+function mergeConfig() {
+  var result = {};
+
+  for (var i = 0; i < arguments.length; i++) {
+    var source = arguments[i] || {};
+    Object.keys(source).forEach(function(key) {
+      var value = source[key];
+      if (isPlainObject(value)) {
+        result[key] = mergeConfig(isPlainObject(result[key]) ? result[key] : {}, value);
+      } else {
+        result[key] = value;
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Build the effective configuration for a hazard run
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Merged configuration
+ */
+function resolveConfig(plugin, overrides) {
+  var config = mergeConfig(DEFAULTS, plugin.defaults, overrides);
+  return plugin.configure ? plugin.configure(config) : config;
+}
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Load country boundary for Papua New Guinea
+ * @param {string} countryName - Optional LSIB country name
+ * @return {ee.FeatureCollection} PNG boundary
+ */
+function loadCountryBoundary(countryName) {
+  var countries = ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017');
+  return countries.filter(ee.Filter.eq('country_na', countryName || DEFAULTS.countryName));
+}
+
+/**
+ * Look up a registered population source
+ * @param {string} sourceId - Source id (see POPULATION_SOURCES)
+ * @return {Object} Source definition
+ */
+function getPopulationSource(sourceId) {
+  var source = POPULATION_SOURCES[sourceId];
+  if (!source) {
+    throw new Error('Unknown population source: ' + sourceId);
+  }
+  return source;
+}
+
+/**
+ * Native grid of the configured population source in meters
+ * @param {Object} config - Run configuration
+ * @return {number} Population scale (null when unknown)
+ */
+function getPopulationScale(config) {
+  if (config.populationScale) {
+    return config.populationScale;
+  }
+  var settings = (config.populationSettings || {})[config.populationSource] || {};
+  return settings.scale || getPopulationSource(config.populationSource).scale;
+}
+
+/**
+ * Load the configured population source on its native grid
+ * @param {Object} config - Run configuration
+ * @param {ee.Geometry} region - Optional study area geometry (tile filter)
+ * @return {ee.Image} Unclipped population count image (band 'population')
+ *                    with the source's own default projection
+ */
+function loadNativePopulation(config, region) {
+  var sourceId = config.populationSource;
+  var source = getPopulationSource(sourceId);
+  var settings = (config.populationSettings || {})[sourceId] || {};
+  var assetId = settings.asset || source.collection;
+  if (!assetId) {
+    throw new Error('Population source ' + sourceId + ' needs populationSettings.' + sourceId + '.asset');
+  }
+  var band = settings.band !== undefined && settings.band !== null ? settings.band : source.band;
+
+  var population;
+  if (source.collection && !settings.asset) {
+    var images = ee.ImageCollection(source.collection);
+    if (region) {
+      images = images.filterBounds(region);
+    }
+    if (source.epochs && source.epochs.indexOf(config.populationYear) === -1) {
+      throw new Error(source.label + ' has no ' + config.populationYear + ' layer; set populationYear to one of ' +
+                      source.epochs.join(', '));
+    }
+    if (source.yearly) {
+      var start = ee.Date.fromYMD(config.populationYear, 1, 1);
+      images = images.filterDate(start, start.advance(1, 'year'));
+    }
+    images = images.select([band], ['population']);
+    population = images.mosaic().setDefaultProjection(images.first().projection());
+  } else {
+    population = ee.Image(assetId).select([band], ['population']);
+  }
+
+  return population;
+}
+
+/**
+ * Native projection of the configured population source
+ * Nominal scales differ from the actual grids (WorldPop 3" is ~92.8m,
+ * LandScan 30" ~928m), so density and aggregation use this projection
+ *
+ * @param {Object} config - Run configuration
+ * @return {ee.Projection} Population grid projection
+ */
+function getPopulationProjection(config) {
+  return loadNativePopulation(config).projection();
+}
+
+/**
+ * Load the configured population source and filter for study area
+ * Sources coarser than the analysis scale are converted to density on
+ * their own grid and multiplied by pixel area, so each analysis pixel holds
+ * its share of the coarse count instead of the full count
+ *
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Optional run configuration (default HRSL)
+ * @return {ee.Image} Population count image (band 'population')
+ */
+function loadPopulationData(region, config) {
+  config = config || DEFAULTS;
+  var population = loadNativePopulation(config, region);
+
+  var scale = getPopulationScale(config);
+  if (scale && config.scale && scale > config.scale) {
+    var nativeArea = ee.Image.pixelArea().reproject(population.projection());
+    population = population.divide(nativeArea).multiply(ee.Image.pixelArea());
+  }
+
+  return population.clip(region);
+}
+
+/**
+ * Load administrative boundaries (LLG level)
+ * @param {string} assetPath - Optional LLG boundary asset path
+ * @return {ee.FeatureCollection} LLG boundaries
+ */
+function loadAdministrativeBoundaries(assetPath) {
+  return ee.FeatureCollection(assetPath || DEFAULTS.assetPaths.llg_boundaries);
+}
+
+// ============================================================================
+// REDUCTION HELPERS
+// ============================================================================
+
+// Recorded in the Area_Method column of every exported table
+var AREA_METHOD = 'geodesic pixel area (ee.Image.pixelArea), km2';
+
+/**
+ * Geodesic area image of a mask in km²
+ * Summed with reduceSum it gives the true area of the mask at whatever
+ * scale the reduction runs
+ *
+ * @param {ee.Image} mask - Mask image (non-zero, unmasked pixels counted);
+ *                          omit for the full pixel area
+ * @return {ee.Image} Pixel area (km²)
+ */
+function createAreaImage(mask) {
+  var area = ee.Image.pixelArea().divide(1e6);
+  return mask ? area.updateMask(mask.select(0)) : area;
+}
+
+// Earth Engine's limit on input pixels per output pixel in reduceResolution
+var MAX_REDUCE_PIXELS = 65536;
+
+/**
+ * Sum count bands onto the analysis grid when it is not finer than the
+ * population grid
+ * reduceRegion at a coarse scale samples one 30m count per cell instead of
+ * adding them up; summing with reduceResolution keeps totals identical at
+ * any scale (pixel-area bands are summed the same way). Equal nominal
+ * scales are aggregated too, since the actual source grid differs from its
+ * nominal scale (WorldPop 3" vs a 100m run)
+ *
+ * @param {ee.Image} image - Count bands (population, pixel area)
+ * @param {Object} config - Run configuration (scale, populationScale)
+ * @return {ee.Image} Image on the analysis grid
+ */
+function aggregateToScale(image, config) {
+  var populationScale = getPopulationScale(config);
+  if (!populationScale || config.scale < populationScale) {
+    return image;
+  }
+  var nativeProjection = getPopulationProjection(config);
+
+  // Input pixels per output pixel, plus a row and column for cells that
+  // straddle the source grid (HRSL at ~31m into 1km needs ~1100)
+  var maxPixels = Math.ceil(Math.pow(config.scale / populationScale + 2, 2));
+  if (maxPixels > MAX_REDUCE_PIXELS) {
+    throw new Error('Cannot sum ' + populationScale + 'm population onto a ' + config.scale +
+                    'm grid in one step; use a coarser populationSource or a finer scale');
+  }
+
+  return image.reproject(nativeProjection)
+    .reduceResolution({reducer: ee.Reducer.sum(), maxPixels: maxPixels})
+    .reproject(nativeProjection.atScale(config.scale));
+}
+
+/**
+ * Sum all bands of an image over a region using the configured scale
+ * @param {ee.Image} image - Multi-band image
+ * @param {ee.Geometry} geometry - Region of interest
+ * @param {Object} config - Run configuration
+ * @return {ee.Dictionary} Band sums
+ */
+function reduceSum(image, geometry, config) {
+  return aggregateToScale(image, config).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: geometry,
+    scale: config.scale,
+    maxPixels: config.maxPixels,
+    bestEffort: true,
+    tileScale: config.tileScale
+  });
+}
+
+/**
+ * Read a reduced value with null protection
+ * @param {ee.Dictionary} stats - reduceRegion output
+ * @param {string} key - Band name
+ * @return {ee.Number} Value (0 if null)
+ */
+function getNumber(stats, key) {
+  var value = ee.Dictionary(stats).get(key);
+  return ee.Number(ee.Algorithms.If(value, value, 0));
+}
+
+/**
+ * Divide with zero-division protection
+ * @param {ee.Number} numerator - Numerator
+ * @param {ee.Number} denominator - Denominator
+ * @return {ee.Number} Quotient (0 if denominator is 0)
+ */
+function safeDivide(numerator, denominator) {
+  return ee.Number(ee.Algorithms.If(
+    ee.Number(denominator).gt(0),
+    ee.Number(numerator).divide(ee.Number(denominator)),
+    0
+  ));
+}
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Calculate exposed population within a binary hazard mask
+ * @param {ee.Image} population - Population distribution
+ * @param {ee.Image} hazardMask - Binary hazard mask
+ * @return {ee.Image} Exposed population
+ */
+function calculateExposedPopulation(population, hazardMask) {
+  return population.updateMask(hazardMask);
+}
+
+/**
+ * Create a binary mask of pixels counted as hazard-exposed
+ * Mask hazards use the mask itself; class hazards use classes at or above
+ * config.exposureMinClass
+ *
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Image} hazard - Hazard mask or class image
+ * @param {Object} config - Run configuration
+ * @return {ee.Image} Binary hazard mask (1 = exposed, masked elsewhere)
+ */
+function createHazardMask(plugin, hazard, config) {
+  if (plugin.type === 'mask') {
+    return hazard.gt(0).selfMask();
+  }
+  return hazard.gte(config.exposureMinClass).selfMask();
+}
+
+/**
+ * Build the multi-band image reduced once per LLG
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Image} population - Population image
+ * @param {ee.Image} hazard - Hazard mask or class image
+ * @param {Object} config - Run configuration
+ * @param {Object} hazardData - buildHazard output passed to statisticBands
+ * @param {Object} context - Optional population context: projection
+ *                           (see projectPopulation), demographics
+ *                           (see loadDemographicGroups) and buildings
+ *                           (see loadBuildings)
+ * @return {ee.Image} Multi-band statistics image
+ */
+function buildStatisticsImage(plugin, population, hazard, config, hazardData, context) {
+  context = context || {};
+  var pop = population.select([0], ['total_pop']);
+  var bands = [pop, createAreaImage().rename('land_area')];
+
+  if (plugin.type === 'mask') {
+    bands.push(calculateExposedPopulation(pop, hazard).rename('exposed_pop'));
+    bands.push(createAreaImage(hazard).rename('hazard_area'));
+  } else {
+    config.classes.forEach(function(cls) {
+      bands.push(pop.updateMask(hazard.eq(cls.value)).rename('class_' + cls.value));
+    });
+    if (plugin.metrics.area) {
+      bands.push(createAreaImage(createHazardMask(plugin, hazard, config)).rename('hazard_area'));
+    }
+  }
+
+  if (context.projection) {
+    bands = bands.concat(projectionBands(plugin, pop, hazard, config, context.projection));
+  }
+  if (context.demographics) {
+    bands = bands.concat(demographicBands(plugin, hazard, config, context.demographics));
+  }
+  if (context.buildings) {
+    bands = bands.concat(buildingBands(plugin, hazard, config, context.buildings));
+  }
+
+  if (plugin.statisticBands) {
+    bands = bands.concat(plugin.statisticBands(pop, hazardData || {image: hazard}, config));
+  }
+
+  return ee.Image(bands);
+}
+
+/**
+ * Derive binary-mask exposure metrics from reduced band sums
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @return {Object} Feature properties
+ */
+function maskMetrics(plugin, stats, totalPop) {
+  var exposedPopCount = getNumber(stats, 'exposed_pop').round();
+  var hazardAreaKm2 = getNumber(stats, 'hazard_area');
+
+  var properties = {
+    'Exposed_Population': exposedPopCount,
+    'Exposure_Ratio': safeDivide(exposedPopCount, totalPop),
+    'Exposure_Density': safeDivide(exposedPopCount, hazardAreaKm2),
+    'Area_Method': AREA_METHOD
+  };
+  properties[plugin.metrics.area] = hazardAreaKm2;
+  return properties;
+}
+
+/**
+ * Land area and hazard-area share from reduced band sums
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Dictionary} stats - Band sums (land_area, hazard_area)
+ * @return {Object} Feature properties
+ */
+function areaMetrics(plugin, stats) {
+  var landArea = getNumber(stats, 'land_area');
+  var properties = {
+    'LLG_Area_km2': landArea,
+    'Area_Method': AREA_METHOD
+  };
+
+  if (plugin.metrics.area) {
+    var hazardArea = getNumber(stats, 'hazard_area');
+    properties[plugin.metrics.area] = hazardArea;
+    properties['Hazard_Area_Share'] = safeDivide(hazardArea, landArea);
+  }
+  return properties;
+}
+
+/**
+ * Derive per-class exposure metrics and weighted score from band sums
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function classMetrics(plugin, stats, totalPop, config) {
+  var properties = {};
+  var score = ee.Number(0);
+
+  config.classes.forEach(function(cls) {
+    var classPop = getNumber(stats, 'class_' + cls.value).round();
+    var classRatio = safeDivide(classPop, totalPop);
+
+    properties[cls.prefix + '_Population'] = classPop;
+    properties[cls.prefix + '_Ratio'] = classRatio;
+    score = score.add(classRatio.multiply(cls.weight));
+  });
+
+  if (plugin.metrics.score) {
+    properties[plugin.metrics.score] = score;
+  }
+  return properties;
+}
+
+/**
+ * Calculate hazard metrics for each LLG
+ * Uses a single multi-band image to reduce computation time
+ *
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {ee.Image} population - Population image
+ * @param {ee.Image} hazard - Hazard mask or class image
+ * @param {Object} config - Run configuration
+ * @param {Object} hazardData - Optional buildHazard output for plugin hooks
+ * @param {Object} context - Optional population context (see
+ *                           buildStatisticsImage)
+ * @return {ee.FeatureCollection} LLG statistics
+ */
+function calculateLLGStatistics(plugin, boundaries, population, hazard, config, hazardData, context) {
+  context = context || {};
+  var multiband = buildStatisticsImage(plugin, population, hazard, config, hazardData, context);
+
+  return boundaries.map(function(feature) {
+    var stats = reduceSum(multiband, feature.geometry(), config);
+    var totalPop = getNumber(stats, 'total_pop').round();
+
+    var properties = plugin.type === 'mask' ?
+      maskMetrics(plugin, stats, totalPop) :
+      classMetrics(plugin, stats, totalPop, config);
+    properties = mergeConfig(properties, areaMetrics(plugin, stats));
+    properties['LLG_Population'] = totalPop;
+
+    if (context.projection) {
+      properties = mergeConfig(properties, projectionLLGMetrics(stats, totalPop, context.projection));
+    }
+    if (context.demographics) {
+      properties = mergeConfig(properties, demographicLLGMetrics(stats, context.demographics));
+    }
+    if (context.buildings) {
+      properties = mergeConfig(properties, buildingLLGMetrics(stats, context.buildings));
+    }
+
+    if (plugin.llgMetrics) {
+      properties = mergeConfig(properties, plugin.llgMetrics(stats, totalPop, config));
+    }
+
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Aggregate LLG statistics to provincial level
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.FeatureCollection} llgStats - LLG-level statistics
+ * @param {Object} config - Run configuration
+ * @param {Object} context - Optional population context (see
+ *                           buildStatisticsImage)
+ * @return {ee.FeatureCollection} Provincial statistics
+ */
+function aggregateToProvinceLevel(plugin, llgStats, config, context) {
+  context = context || {};
+  var provinceField = config.provinceField;
+  var provinces = llgStats.aggregate_array(provinceField).distinct();
+
+  var provinceStats = provinces.map(function(provinceName) {
+    var filtered = llgStats.filter(ee.Filter.eq(provinceField, provinceName));
+    var totalPop = filtered.aggregate_sum('LLG_Population');
+
+    var landArea = filtered.aggregate_sum('LLG_Area_km2');
+
+    var properties = {
+      'Province': provinceName,
+      'Total_Population': totalPop,
+      'Province_Area_km2': landArea,
+      'Area_Method': AREA_METHOD
+    };
+
+    if (plugin.metrics.area) {
+      var hazardArea = filtered.aggregate_sum(plugin.metrics.area);
+      properties[plugin.metrics.area] = hazardArea;
+      properties['Hazard_Area_Share'] = safeDivide(hazardArea, landArea);
+    }
+
+    if (plugin.type === 'mask') {
+      var exposedPop = filtered.aggregate_sum('Exposed_Population');
+
+      properties['Exposed_Population'] = exposedPop;
+      properties['Exposure_Ratio'] = safeDivide(exposedPop, totalPop);
+      properties['Exposure_Density'] = safeDivide(exposedPop, hazardArea);
+    } else {
+      config.classes.forEach(function(cls) {
+        properties[cls.prefix + '_Population'] = filtered.aggregate_sum(cls.prefix + '_Population');
+      });
+
+      if (plugin.metrics.score) {
+        var totalScore = filtered.aggregate_sum(plugin.metrics.score);
+        var llgCount = filtered.size();
+
+        properties['Total_' + plugin.metrics.score] = totalScore;
+        properties['Average_' + plugin.metrics.score] = safeDivide(totalScore, llgCount);
+        properties['LLG_Count'] = llgCount;
+      }
+    }
+
+    if (context.projection) {
+      properties = mergeConfig(properties, sumProjectionFields(filtered, totalPop, context.projection));
+    }
+    if (context.demographics) {
+      properties = mergeConfig(properties, sumDemographicFields(filtered, context.demographics));
+    }
+    if (context.buildings) {
+      properties = mergeConfig(properties, sumBuildingFields(filtered, context.buildings));
+    }
+
+    if (plugin.provinceMetrics) {
+      properties = mergeConfig(properties, plugin.provinceMetrics(filtered, totalPop, config));
+    }
+
+    return ee.Feature(null, properties);
+  });
+
+  return ee.FeatureCollection(provinceStats).sort('Province');
+}
+
+/**
+ * Sum LLG fields to provincial level
+ * @param {ee.FeatureCollection} llgStats - LLG-level statistics
+ * @param {Array<string>} fields - Fields to sum
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} One feature per province with summed fields
+ */
+function sumByProvince(llgStats, fields, config) {
+  var provinceField = config.provinceField;
+  var provinces = llgStats.aggregate_array(provinceField).distinct();
+
+  var provinceStats = provinces.map(function(provinceName) {
+    var filtered = llgStats.filter(ee.Filter.eq(provinceField, provinceName));
+
+    var properties = {'Province': provinceName};
+    fields.forEach(function(field) {
+      properties[field] = filtered.aggregate_sum(field);
+    });
+
+    return ee.Feature(null, properties);
+  });
+
+  return ee.FeatureCollection(provinceStats).sort('Province');
+}
+
+/**
+ * Rank features by a property in descending order (1 = highest value)
+ * @param {ee.FeatureCollection} fc - Input table
+ * @param {string} property - Property to rank by
+ * @param {string} targetProperty - Output rank property name
+ * @param {string} keyField - Unique feature key
+ * @return {ee.FeatureCollection} Table with rank property
+ */
+function addRank(fc, property, targetProperty, keyField) {
+  var ordered = fc.sort(property, false).aggregate_array(keyField);
+
+  return fc.map(function(feature) {
+    return feature.set(targetProperty, ordered.indexOf(feature.get(keyField)).add(1));
+  });
+}
+
+/**
+ * Calculate national totals of exposed population
+ * Mask hazards sum the LLG table; class hazards use a single reduceRegion
+ * over the country so every class is reported in one call
+ *
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} analysis - Analysis results (see analyze)
+ * @return {ee.Dictionary} National totals keyed by population field
+ */
+function calculateNationalTotals(plugin, analysis) {
+  var config = analysis.config;
+  var totals = {};
+
+  if (plugin.type === 'mask') {
+    totals['Exposed_Population'] = analysis.llgStats.aggregate_sum('Exposed_Population');
+  } else {
+    var bands = config.classes.map(function(cls) {
+      return analysis.population.updateMask(analysis.hazard.eq(cls.value))
+        .select([0], [cls.prefix + '_Population']);
+    });
+
+    var stats = reduceSum(ee.Image(bands), analysis.region.geometry(), config);
+
+    config.classes.forEach(function(cls) {
+      totals[cls.prefix + '_Population'] = getNumber(stats, cls.prefix + '_Population').round();
+    });
+  }
+
+  if (analysis.projection) {
+    var projected = sumProjectionFields(analysis.llgStats, analysis.llgStats.aggregate_sum('LLG_Population'), analysis.projection);
+    ['Exposure_Change', 'Change_From_Growth', 'Change_From_Hazard'].forEach(function(field) {
+      totals[field] = projected[field];
+    });
+  }
+
+  if (analysis.demographics) {
+    analysis.demographics.groups.forEach(function(group) {
+      var field = group.fieldPrefix + '_Exposed_Population';
+      totals[field] = analysis.llgStats.aggregate_sum(field);
+    });
+  }
+
+  if (analysis.buildings) {
+    totals['Exposed_Buildings'] = analysis.llgStats.aggregate_sum('Exposed_Buildings');
+    totals['Exposed_Built_Area_km2'] = analysis.llgStats.aggregate_sum('Exposed_Built_Area_km2');
+  }
+
+  if (plugin.nationalMetrics) {
+    totals = mergeConfig(totals, plugin.nationalMetrics(analysis));
+  }
+
+  return ee.Dictionary(totals);
+}
+
+/**
+ * Check that hazard runs agree on LLG population totals
+ * Reduces only the population band of every analysis, each at its own
+ * scale, over the shared LLG boundaries. Runs asynchronously: mismatches
+ * are printed as a warning and returned so the caller can export them.
+ * Only entry points that run several hazards together (composite,
+ * overlap) can check; the single-hazard scripts cannot see each other.
+ *
+ * @param {Array<Object>} analyses - Analysis results (see analyze)
+ * @param {Object} settings - Optional {tolerance, absoluteTolerance}
+ *                            (default: populationCheck of the first run)
+ * @return {ee.FeatureCollection} LLGs that exceed the tolerance, with one
+ *                                <Prefix>_LLG_Population column per hazard
+ *                                and Population_Check = 'Mismatch'
+ */
+function checkPopulationConsistency(analyses, settings) {
+  var check = settings || analyses[0].config.populationCheck;
+
+  var comparison = analyses[0].boundaries.map(function(feature) {
+    var properties = {};
+    var totals = analyses.map(function(analysis) {
+      var pop = analysis.population.select([0], ['total_pop']);
+      var total = getNumber(reduceSum(pop, feature.geometry(), analysis.config), 'total_pop').round();
+      properties[analysis.plugin.fieldPrefix + '_LLG_Population'] = total;
+      return total;
+    });
+
+    var largest = ee.Number(ee.List(totals).reduce(ee.Reducer.max()));
+    var difference = largest.subtract(ee.Number(ee.List(totals).reduce(ee.Reducer.min())));
+    var allowed = largest.multiply(check.tolerance).max(check.absoluteTolerance);
+
+    properties['Difference'] = difference;
+    properties['Allowed_Difference'] = allowed;
+    properties['Population_Check'] = ee.Algorithms.If(difference.gt(allowed), 'Mismatch', 'OK');
+    return feature.set(properties);
+  });
+
+  var mismatches = comparison.filter(ee.Filter.eq('Population_Check', 'Mismatch'));
+  var hazards = analyses.map(function(analysis) { return analysis.plugin.id; }).join(', ');
+
+  mismatches.size().evaluate(function(count) {
+    if (count > 0) {
+      print('WARNING: ' + count + ' LLG population totals disagree between hazard runs (' + hazards +
+            ') beyond the populationCheck tolerance; check scale and populationScale', mismatches);
+    }
+  });
+
+  return mismatches;
+}
+
+// ============================================================================
+// POPULATION PROJECTION
+// ============================================================================
+
+/**
+ * National population of a pathway in a given year
+ * Log-linear interpolation between the listed years, clamped at both ends
+ *
+ * @param {Object} pathway - {years, population}
+ * @param {number} year - Year
+ * @return {number} Population (pathway units)
+ */
+function pathwayPopulation(pathway, year) {
+  var years = pathway.years;
+  var values = pathway.population;
+  if (year <= years[0]) {
+    return values[0];
+  }
+
+  for (var i = 1; i < years.length; i++) {
+    if (year <= years[i]) {
+      var t = (year - years[i - 1]) / (years[i] - years[i - 1]);
+      return Math.exp(Math.log(values[i - 1]) + t * (Math.log(values[i]) - Math.log(values[i - 1])));
+    }
+  }
+  return values[values.length - 1];
+}
+
+/**
+ * Baseline and target year of the population projection
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} config - Run configuration
+ * @return {Object} {baseYear, targetYear}
+ */
+function resolveProjectionYears(plugin, config) {
+  var settings = config.populationProjection;
+  var targetYear = settings.targetYear || (plugin.hazardYear ? plugin.hazardYear(config) : null);
+  if (!targetYear) {
+    throw new Error('populationProjection.targetYear is required for ' + plugin.name);
+  }
+  return {
+    baseYear: settings.baseYear || config.populationYear,
+    targetYear: targetYear
+  };
+}
+
+/**
+ * National annual growth rate between the baseline and target year
+ * @param {Object} settings - populationProjection settings
+ * @param {Object} years - {baseYear, targetYear}
+ * @return {number} Annual growth rate
+ */
+function nationalGrowthRate(settings, years) {
+  if (settings.growth === 'constant') {
+    return settings.annualRate;
+  }
+  if (settings.growth !== 'ssp') {
+    throw new Error('Unknown population growth method: ' + settings.growth);
+  }
+
+  var pathway = populationGrowth.SSP_NATIONAL[settings.ssp];
+  if (!pathway) {
+    throw new Error('Unknown SSP pathway: ' + settings.ssp);
+  }
+  var span = years.targetYear - years.baseYear;
+  if (span === 0) {
+    return 0;
+  }
+  var ratio = pathwayPopulation(pathway, years.targetYear) / pathwayPopulation(pathway, years.baseYear);
+  return Math.pow(ratio, 1 / span) - 1;
+}
+
+/**
+ * Convert a province name or LLG code to a dictionary key
+ * Numeric codes become their integer text ('1234'), matching the keys of
+ * provinceRates / llgRates
+ *
+ * @param {ee.ComputedObject} value - Name or code
+ * @return {ee.String} Key
+ */
+function rateKey(value) {
+  return ee.String(ee.Algorithms.If(
+    ee.Algorithms.IsEqual(ee.Algorithms.ObjectType(value), 'String'),
+    value,
+    ee.Number(value).format('%d')
+  ));
+}
+
+/**
+ * Load a growth-rate table keyed on province name or LLG code
+ * Rows without a key or rate are skipped
+ *
+ * @param {Object} table - rateTable settings (asset, keyField, rateField)
+ * @return {ee.Dictionary} Rates keyed by the key field
+ */
+function loadRateTable(table) {
+  if (!table.asset) {
+    return ee.Dictionary({});
+  }
+  var rates = ee.FeatureCollection(table.asset)
+    .filter(ee.Filter.notNull([table.keyField, table.rateField]));
+  return ee.Dictionary.fromLists(
+    rates.aggregate_array(table.keyField).map(rateKey),
+    rates.aggregate_array(table.rateField)
+  );
+}
+
+/**
+ * Annual growth rate per pixel
+ * LLG rates override province rates, which override the national rate;
+ * configured rates override the rate table. The optional urban/rural
+ * offsets are added on top
+ *
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {Object} config - Run configuration
+ * @param {number} nationalRate - National annual growth rate
+ * @param {Object} years - {baseYear, targetYear}
+ * @return {ee.Image} Growth rate (band 'growth_rate')
+ */
+function createGrowthRateImage(boundaries, config, nationalRate, years) {
+  var settings = config.populationProjection;
+  var tableRates = loadRateTable(settings.rateTable);
+  var llgTable = settings.rateTable.level === 'llg';
+  var provinceRates = (llgTable ? ee.Dictionary({}) : tableRates).combine(ee.Dictionary(settings.provinceRates));
+  var llgRates = (llgTable ? tableRates : ee.Dictionary({})).combine(ee.Dictionary(settings.llgRates));
+
+  if (!settings.llgField && (Object.keys(settings.llgRates).length || (llgTable && settings.rateTable.asset))) {
+    throw new Error('LLG growth rates need populationProjection.llgField');
+  }
+
+  var rated = boundaries.map(function(feature) {
+    var rate = provinceRates.get(rateKey(feature.get(config.provinceField)), nationalRate);
+    if (settings.llgField) {
+      rate = llgRates.get(rateKey(feature.get(settings.llgField)), rate);
+    }
+    return feature.set('growth_rate', rate);
+  });
+  var rate = rated.reduceToImage(['growth_rate'], ee.Reducer.first()).unmask(nationalRate);
+
+  if (settings.urban.enabled) {
+    // GHS-SMOD is published in 5-year epochs
+    var epoch = ee.Date.fromYMD(years.baseYear - years.baseYear % 5, 1, 1);
+    var urban = ee.ImageCollection(settings.urban.collection)
+      .filterDate(epoch, epoch.advance(1, 'year'))
+      .first()
+      .select(0)
+      .gte(settings.urban.minClass);
+    rate = rate.add(ee.Image(settings.urban.ruralOffset).where(urban, settings.urban.urbanOffset));
+  }
+
+  return rate.rename('growth_rate');
+}
+
+/**
+ * Scale the baseline population grid to the projection target year
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Image} population - Baseline population image
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {Object} config - Run configuration
+ * @return {Object} Projection: baseYear, targetYear, nationalRate, baseline,
+ *                  population (projected), factor, growthRate
+ */
+function projectPopulation(plugin, population, boundaries, config) {
+  var years = resolveProjectionYears(plugin, config);
+  var nationalRate = nationalGrowthRate(config.populationProjection, years);
+  var growthRate = createGrowthRateImage(boundaries, config, nationalRate, years);
+  var factor = growthRate.add(1).pow(years.targetYear - years.baseYear);
+
+  return {
+    baseYear: years.baseYear,
+    targetYear: years.targetYear,
+    nationalRate: nationalRate,
+    baseline: population,
+    population: population.multiply(factor).rename('population'),
+    factor: factor,
+    growthRate: growthRate
+  };
+}
+
+/**
+ * Baseline-population and present-day-hazard exposure bands
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Image} population - Projected population (total_pop)
+ * @param {ee.Image} hazard - Hazard mask or class image
+ * @param {Object} config - Run configuration
+ * @param {Object} projection - Projection (see projectPopulation)
+ * @return {Array<ee.Image>} Statistic bands
+ */
+function projectionBands(plugin, population, hazard, config, projection) {
+  var baseline = projection.baseline.select([0], ['baseline_pop']);
+  var hazardMask = createHazardMask(plugin, hazard, config);
+  var bands = [
+    baseline,
+    population.updateMask(hazardMask).rename('projected_exposed_pop'),
+    baseline.updateMask(hazardMask).rename('baseline_pop_exposed_pop')
+  ];
+
+  if (projection.referenceHazard) {
+    var referenceMask = createHazardMask(plugin, projection.referenceHazard, config);
+    bands.push(baseline.updateMask(referenceMask).rename('reference_exposed_pop'));
+  }
+  return bands;
+}
+
+/**
+ * Projection fields: baseline and projected exposure and the split of the
+ * change into population growth and hazard change
+ * Growth = E(projected pop, hazard) − E(baseline pop, hazard);
+ * hazard change = E(baseline pop, hazard) − E(baseline pop, present hazard)
+ *
+ * @param {Object} values - baselinePop, totalPop, projected,
+ *                          baselinePopExposed, baselineExposed (ee.Number)
+ * @param {Object} projection - Projection (see projectPopulation)
+ * @return {Object} Feature properties
+ */
+function projectionFields(values, projection) {
+  var projected = ee.Number(values.projected);
+  var baselinePopExposed = ee.Number(values.baselinePopExposed);
+  var baselineExposed = ee.Number(values.baselineExposed);
+
+  return {
+    'Baseline_Year': projection.baseYear,
+    'Projection_Year': projection.targetYear,
+    'Baseline_Population': values.baselinePop,
+    'Population_Growth_Factor': safeDivide(values.totalPop, values.baselinePop),
+    'Projected_Exposed_Population': projected,
+    'Baseline_Pop_Exposed_Population': baselinePopExposed,
+    'Baseline_Exposed_Population': baselineExposed,
+    'Exposure_Change': projected.subtract(baselineExposed),
+    'Change_From_Growth': projected.subtract(baselinePopExposed),
+    'Change_From_Hazard': baselinePopExposed.subtract(baselineExposed)
+  };
+}
+
+/**
+ * Projection properties for one LLG
+ * Without a present-day hazard the hazard change is zero
+ *
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Projected LLG population
+ * @param {Object} projection - Projection (see projectPopulation)
+ * @return {Object} Feature properties
+ */
+function projectionLLGMetrics(stats, totalPop, projection) {
+  var baselinePopExposed = getNumber(stats, 'baseline_pop_exposed_pop').round();
+
+  return projectionFields({
+    baselinePop: getNumber(stats, 'baseline_pop').round(),
+    totalPop: totalPop,
+    projected: getNumber(stats, 'projected_exposed_pop').round(),
+    baselinePopExposed: baselinePopExposed,
+    baselineExposed: projection.referenceHazard ?
+      getNumber(stats, 'reference_exposed_pop').round() : baselinePopExposed
+  }, projection);
+}
+
+/**
+ * Projection properties summed over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {ee.Number} totalPop - Projected population of the rows
+ * @param {Object} projection - Projection (see projectPopulation)
+ * @return {Object} Summed properties
+ */
+function sumProjectionFields(llgRows, totalPop, projection) {
+  return projectionFields({
+    baselinePop: llgRows.aggregate_sum('Baseline_Population'),
+    totalPop: totalPop,
+    projected: llgRows.aggregate_sum('Projected_Exposed_Population'),
+    baselinePopExposed: llgRows.aggregate_sum('Baseline_Pop_Exposed_Population'),
+    baselineExposed: llgRows.aggregate_sum('Baseline_Exposed_Population')
+  }, projection);
+}
+
+// ============================================================================
+// DEMOGRAPHIC GROUPS
+// ============================================================================
+
+/**
+ * Load the configured HRSL demographic layers
+ * The layers are HRSL products, so they require the HRSL population source;
+ * with a population projection they are scaled by the same growth factor
+ *
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @param {Object} projection - Optional projection (see projectPopulation)
+ * @return {Object} Demographics: groups [{id, label, fieldPrefix, image}]
+ */
+function loadDemographicGroups(region, config, projection) {
+  var settings = config.demographics;
+  if (config.populationSource !== 'hrsl') {
+    throw new Error('Demographic groups are HRSL layers; set populationSource to hrsl');
+  }
+
+  var groups = settings.groups.map(function(groupId) {
+    var group = DEMOGRAPHIC_GROUPS[groupId];
+    if (!group) {
+      throw new Error('Unknown demographic group: ' + groupId);
+    }
+    var images = ee.ImageCollection(settings.collections[groupId] || group.collection)
+      .filterBounds(region)
+      .select([0], ['population']);
+    var image = images.mosaic().setDefaultProjection(images.first().projection()).clip(region);
+
+    return {
+      id: groupId,
+      label: group.label,
+      fieldPrefix: group.fieldPrefix,
+      image: projection ? image.multiply(projection.factor) : image
+    };
+  });
+
+  return {groups: groups};
+}
+
+/**
+ * Total and exposed population bands for each demographic group
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Image} hazard - Hazard mask or class image
+ * @param {Object} config - Run configuration
+ * @param {Object} demographics - Demographics (see loadDemographicGroups)
+ * @return {Array<ee.Image>} Two bands per group
+ */
+function demographicBands(plugin, hazard, config, demographics) {
+  var hazardMask = createHazardMask(plugin, hazard, config);
+  var bands = [];
+
+  demographics.groups.forEach(function(group) {
+    bands.push(group.image.rename('group_' + group.id + '_pop'));
+    bands.push(group.image.updateMask(hazardMask).rename('group_' + group.id + '_exposed'));
+  });
+
+  return bands;
+}
+
+/**
+ * Group population, exposed population and exposure ratio
+ * @param {Object} demographics - Demographics (see loadDemographicGroups)
+ * @param {Function} value - function(group, kind) returning the total
+ *                           ('pop') or exposed ('exposed') group population
+ * @return {Object} Feature properties
+ */
+function demographicFields(demographics, value) {
+  var properties = {};
+
+  demographics.groups.forEach(function(group) {
+    var total = value(group, 'pop');
+    var exposed = value(group, 'exposed');
+    properties[group.fieldPrefix + '_Population'] = total;
+    properties[group.fieldPrefix + '_Exposed_Population'] = exposed;
+    properties[group.fieldPrefix + '_Exposure_Ratio'] = safeDivide(exposed, total);
+  });
+
+  return properties;
+}
+
+/**
+ * Demographic properties for one LLG
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {Object} demographics - Demographics (see loadDemographicGroups)
+ * @return {Object} Feature properties
+ */
+function demographicLLGMetrics(stats, demographics) {
+  return demographicFields(demographics, function(group, kind) {
+    return getNumber(stats, 'group_' + group.id + '_' + kind).round();
+  });
+}
+
+/**
+ * Demographic properties summed over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {Object} demographics - Demographics (see loadDemographicGroups)
+ * @return {Object} Summed properties
+ */
+function sumDemographicFields(llgRows, demographics) {
+  return demographicFields(demographics, function(group, kind) {
+    var suffix = kind === 'pop' ? '_Population' : '_Exposed_Population';
+    return llgRows.aggregate_sum(group.fieldPrefix + suffix);
+  });
+}
+
+// ============================================================================
+// BUILDING EXPOSURE
+// ============================================================================
+
+/**
+ * Look up a building footprint source
+ * @param {string} id - Source id (key of BUILDING_SOURCES)
+ * @return {Object} Building source
+ */
+function getBuildingSource(id) {
+  var source = BUILDING_SOURCES[id];
+  if (!source) {
+    throw new Error('Unknown building source: ' + id);
+  }
+  return source;
+}
+
+/**
+ * Hazard classes exposed buildings are broken down by
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Object} {image, classes: [{value, prefix}]}, or null for mask
+ *                  hazards without an exposureClasses hook
+ */
+function getExposureClasses(plugin, hazardData, config) {
+  if (plugin.exposureClasses) {
+    return plugin.exposureClasses(hazardData, config);
+  }
+  if (plugin.type === 'mask') {
+    return null;
+  }
+  return {
+    image: hazardData.image,
+    classes: config.classes.map(function(cls) {
+      return {value: cls.value, prefix: cls.prefix};
+    })
+  };
+}
+
+/**
+ * Load building footprints as count and built-up area grids
+ * Each footprint is counted once, at the pixel holding its centroid
+ *
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Object} Buildings: label, image (bands 'buildings' and
+ *                  'built_area' in km²) and breakdown (see
+ *                  getExposureClasses)
+ */
+function loadBuildings(region, plugin, hazardData, config) {
+  var settings = config.buildings;
+  var source = getBuildingSource(settings.source);
+  var assetId = settings.asset || source.collection;
+  if (!assetId) {
+    throw new Error('Building source ' + settings.source + ' needs buildings.asset');
+  }
+
+  var footprints = ee.FeatureCollection(assetId).filterBounds(region);
+  if (source.confidenceField && !settings.asset) {
+    footprints = footprints.filter(ee.Filter.gte(source.confidenceField, settings.minConfidence));
+  }
+
+  var areaField = settings.areaField || (settings.asset ? null : source.areaField);
+  var centroids = footprints.map(function(footprint) {
+    var area = areaField ? ee.Number(footprint.get(areaField)) : footprint.geometry().area(1);
+    return ee.Feature(footprint.geometry().centroid(1), {
+      'building': 1,
+      'built_area': area.divide(1e6)
+    });
+  });
+
+  var image = ee.Image([
+    centroids.reduceToImage({properties: ['building'], reducer: ee.Reducer.sum()}).rename('buildings'),
+    centroids.reduceToImage({properties: ['built_area'], reducer: ee.Reducer.sum()}).rename('built_area')
+  ]);
+
+  return {
+    label: source.label,
+    image: image,
+    breakdown: getExposureClasses(plugin, hazardData, config)
+  };
+}
+
+/**
+ * Total, exposed and per-class building count and built-up area bands
+ * @param {Object} plugin - Hazard plugin
+ * @param {ee.Image} hazard - Hazard mask or class image
+ * @param {Object} config - Run configuration
+ * @param {Object} buildings - Buildings (see loadBuildings)
+ * @return {Array<ee.Image>} Building bands
+ */
+function buildingBands(plugin, hazard, config, buildings) {
+  var hazardMask = createHazardMask(plugin, hazard, config);
+  var image = buildings.image;
+  var bands = [
+    image.rename(['building_total', 'built_area_total']),
+    image.updateMask(hazardMask).rename(['building_exposed', 'built_area_exposed'])
+  ];
+
+  if (buildings.breakdown) {
+    buildings.breakdown.classes.forEach(function(cls, i) {
+      bands.push(image.updateMask(buildings.breakdown.image.eq(cls.value))
+        .rename(['building_class_' + i, 'built_area_class_' + i]));
+    });
+  }
+
+  return bands;
+}
+
+/**
+ * Building counts, built-up area and building exposure ratio
+ * @param {Object} buildings - Buildings (see loadBuildings)
+ * @param {Function} value - function(field, band) returning the value of an
+ *                           output column from its band (e.g.
+ *                           'building_exposed') or column name
+ * @return {Object} Feature properties
+ */
+function buildingFields(buildings, value) {
+  var properties = {};
+  var columns = [
+    ['Total_Buildings', 'building_total'],
+    ['Exposed_Buildings', 'building_exposed'],
+    ['Total_Built_Area_km2', 'built_area_total'],
+    ['Exposed_Built_Area_km2', 'built_area_exposed']
+  ];
+  if (buildings.breakdown) {
+    buildings.breakdown.classes.forEach(function(cls, i) {
+      columns.push([cls.prefix + '_Buildings', 'building_class_' + i]);
+      columns.push([cls.prefix + '_Built_Area_km2', 'built_area_class_' + i]);
+    });
+  }
+
+  columns.forEach(function(column) {
+    properties[column[0]] = value(column[0], column[1]);
+  });
+  properties['Building_Exposure_Ratio'] = safeDivide(properties['Exposed_Buildings'], properties['Total_Buildings']);
+
+  return properties;
+}
+
+/**
+ * Building properties for one LLG
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {Object} buildings - Buildings (see loadBuildings)
+ * @return {Object} Feature properties
+ */
+function buildingLLGMetrics(stats, buildings) {
+  return buildingFields(buildings, function(field, band) {
+    var sum = getNumber(stats, band);
+    return band.indexOf('building_') === 0 ? sum.round() : sum;
+  });
+}
+
+/**
+ * Building properties summed over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {Object} buildings - Buildings (see loadBuildings)
+ * @return {Object} Summed properties
+ */
+function sumBuildingFields(llgRows, buildings) {
+  return buildingFields(buildings, function(field) {
+    return llgRows.aggregate_sum(field);
+  });
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the exposure analysis for a hazard without display or export
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Analysis results: config, region, boundaries, population,
+ *                  hazard, hazardData, layers, exposedPopulation, projection,
+ *                  demographics, buildings, llgStats, provinceStats,
+ *                  nationalTotals
+ */
+function analyze(plugin, overrides) {
+  var config = resolveConfig(plugin, overrides);
+
+  // Initialize data
+  var region = loadCountryBoundary(config.countryName);
+  var population = loadPopulationData(region.geometry(), config);
+  var boundaries = loadAdministrativeBoundaries(config.assetPaths.llg_boundaries);
+  var hazard = plugin.buildHazard(region.geometry(), config);
+
+  // Optional projection to the hazard year; population becomes the
+  // projected grid and the baseline is kept for the change decomposition
+  var projection = null;
+  if (config.populationProjection.enabled) {
+    projection = projectPopulation(plugin, population, boundaries, config);
+    var baselineConfig = plugin.baselineConfig ? plugin.baselineConfig(config) : null;
+    projection.referenceHazard = baselineConfig ?
+      plugin.buildHazard(region.geometry(), baselineConfig).image : null;
+    population = projection.population;
+  }
+
+  var demographics = config.demographics.enabled ?
+    loadDemographicGroups(region.geometry(), config, projection) : null;
+  var buildings = config.buildings.enabled ?
+    loadBuildings(region.geometry(), plugin, hazard, config) : null;
+  var context = {projection: projection, demographics: demographics, buildings: buildings};
+
+  var analysis = {
+    plugin: plugin,
+    config: config,
+    region: region,
+    boundaries: boundaries,
+    population: population,
+    hazard: hazard.image,
+    hazardData: hazard,
+    layers: hazard.layers || [],
+    exposedPopulation: plugin.type === 'mask' ?
+      calculateExposedPopulation(population, hazard.image) : null,
+    projection: projection,
+    demographics: demographics,
+    buildings: buildings
+  };
+
+  // Calculate statistics
+  analysis.llgStats = calculateLLGStatistics(plugin, boundaries, population, hazard.image, config, hazard, context);
+  analysis.provinceStats = aggregateToProvinceLevel(plugin, analysis.llgStats, config, context);
+  analysis.nationalTotals = calculateNationalTotals(plugin, analysis);
+
+  return analysis;
+}
+
+// ============================================================================
+// VISUALIZATION
+// ============================================================================
+
+/**
+ * Rasterize an LLG property for visualization
+ * @param {ee.FeatureCollection} stats - LLG statistics
+ * @param {string} property - Property to rasterize
+ * @return {ee.Image} Rasterized property
+ */
+function createLLGRaster(stats, property) {
+  var rasterized = stats.reduceToImage({
+    properties: [property],
+    reducer: ee.Reducer.first()
+  });
+
+  // Mask zero values for better visualization
+  return rasterized.updateMask(rasterized.gt(0));
+}
+
+/**
+ * Format a ranking value for the legend
+ * @param {number} value - Property value
+ * @param {string} format - 'percent' or 'decimal'
+ * @return {string} Formatted value
+ */
+function formatRankingValue(value, format) {
+  if (format === 'percent') {
+    return (value * 100).toFixed(1) + '%';
+  }
+  return value.toFixed(2);
+}
+
+/**
+ * Create legend panel with title, color bar and labels
+ * @param {Object} legendConfig - Legend configuration (title, min, max,
+ *                                palette, labels)
+ * @return {ui.Panel} Legend panel
+ */
+function createLegendPanel(legendConfig) {
+  var legend = ui.Panel({
+    style: {position: 'bottom-left', padding: '8px 15px'}
+  });
+
+  // Title
+  legend.add(ui.Label({
+    value: legendConfig.title,
+    style: {fontSize: '14px', fontWeight: 'bold'}
+  }));
+
+  // Color bar
+  var colorBar = ui.Thumbnail({
+    image: ee.Image.pixelLonLat().select(0),
+    params: {
+      bbox: [0, 0, 1, 0.1],
+      dimensions: '200x20',
+      format: 'png',
+      min: legendConfig.min,
+      max: legendConfig.max,
+      palette: legendConfig.palette
+    },
+    style: {stretch: 'horizontal', margin: '0px 8px'}
+  });
+  legend.add(colorBar);
+
+  // Labels
+  var lastIndex = legendConfig.labels.length - 1;
+  var labels = ui.Panel({
+    widgets: legendConfig.labels.map(function(text, index) {
+      var align = index === 0 ? 'left' : (index === lastIndex ? 'right' : 'center');
+      return ui.Label(text, {margin: '4px 0px', fontSize: '12px', textAlign: align, stretch: 'horizontal'});
+    }),
+    layout: ui.Panel.Layout.flow('horizontal')
+  });
+  legend.add(labels);
+
+  return legend;
+}
+
+/**
+ * Create legend panel with a title and one color swatch per category
+ * @param {string} title - Legend title
+ * @param {Array<Object>} items - Categories as {color, label}
+ * @return {ui.Panel} Legend panel
+ */
+function createCategoricalLegendPanel(title, items) {
+  var legend = ui.Panel({
+    style: {position: 'bottom-left', padding: '8px 15px'}
+  });
+
+  // Title
+  legend.add(ui.Label({
+    value: title,
+    style: {fontSize: '14px', fontWeight: 'bold'}
+  }));
+
+  // Swatches
+  items.forEach(function(item) {
+    legend.add(ui.Panel({
+      widgets: [
+        ui.Label('', {backgroundColor: item.color, padding: '8px', margin: '2px 6px 2px 0px'}),
+        ui.Label(item.label, {fontSize: '12px', margin: '4px 0px'})
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
+    }));
+  });
+
+  return legend;
+}
+
+/**
+ * Append the top 5 provinces for the configured ranking property
+ * @param {ui.Panel} legend - Legend panel
+ * @param {ee.FeatureCollection} provinceStats - Provincial statistics
+ * @param {Object} legendConfig - Legend configuration (rankProperty,
+ *                                rankTitle, rankFormat)
+ */
+function addProvinceRanking(legend, provinceStats, legendConfig) {
+  var top5 = provinceStats.sort(legendConfig.rankProperty, false).limit(5);
+
+  legend.add(ui.Label({
+    value: legendConfig.rankTitle,
+    style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
+  }));
+
+  top5.evaluate(function(fc) {
+    if (fc && fc.features) {
+      fc.features.forEach(function(feature, index) {
+        var name = feature.properties.Province;
+        var value = formatRankingValue(feature.properties[legendConfig.rankProperty], legendConfig.rankFormat);
+        legend.add(ui.Label(
+          (index + 1) + '. ' + name + ': ' + value,
+          {fontSize: '12px', margin: '2px 0 0 0'}
+        ));
+      });
+    }
+  });
+}
+
+/**
+ * Add exposed-population layers per demographic group with a group selector
+ * Only the selected group's layer is shown
+ *
+ * @param {Object} analysis - Analysis results (see analyze)
+ */
+function addDemographicSelector(analysis) {
+  var config = analysis.config;
+  var settings = config.demographics;
+  var hazardMask = createHazardMask(analysis.plugin, analysis.hazard, config);
+  var layers = {};
+
+  analysis.demographics.groups.forEach(function(group) {
+    layers[group.id] = ui.Map.Layer(
+      group.image.updateMask(hazardMask),
+      {palette: config.palettes.exposedPop || config.palettes.population, min: 0, max: settings.max},
+      'Exposed ' + group.label,
+      group.id === settings.display
+    );
+    Map.layers().add(layers[group.id]);
+  });
+
+  var selector = ui.Select({
+    items: analysis.demographics.groups.map(function(group) {
+      return {label: group.label, value: group.id};
+    }),
+    value: settings.display,
+    onChange: function(groupId) {
+      Object.keys(layers).forEach(function(id) {
+        layers[id].setShown(id === groupId);
+      });
+    }
+  });
+
+  Map.add(ui.Panel({
+    widgets: [ui.Label('Exposed group', {fontWeight: 'bold'}), selector],
+    style: {position: 'top-right', padding: '8px'}
+  }));
+}
+
+/**
+ * Add interactive legend with national totals and top provinces
+ * @param {Object} analysis - Analysis results (see analyze)
+ */
+function addInteractiveLegend(analysis) {
+  var plugin = analysis.plugin;
+  var config = analysis.config;
+  var legend = createLegendPanel(config.legend);
+
+  // National statistics
+  analysis.nationalTotals.evaluate(function(totals) {
+    if (plugin.type === 'mask') {
+      legend.add(ui.Label({
+        value: 'National Exposed Population: ' + Math.round(totals.Exposed_Population).toLocaleString(),
+        style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
+      }));
+    } else {
+      legend.add(ui.Label({
+        value: 'National Population by Risk Level:',
+        style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
+      }));
+      config.classes.forEach(function(cls) {
+        legend.add(ui.Label(
+          cls.label + ': ' + totals[cls.prefix + '_Population'].toLocaleString(),
+          {fontSize: '12px'}
+        ));
+      });
+    }
+
+    // Additional national totals configured for the hazard
+    (config.legend.extraTotals || []).forEach(function(extra) {
+      if (totals[extra.property] === undefined) {
+        return;
+      }
+      legend.add(ui.Label(
+        extra.label + ': ' + Math.round(totals[extra.property]).toLocaleString(),
+        {fontSize: '12px'}
+      ));
+    });
+
+    // Top 5 provinces
+    addProvinceRanking(legend, analysis.provinceStats, config.legend);
+  });
+
+  Map.add(legend);
+}
+
+/**
+ * Add map layers, legend and dark map style for an analysis
+ * @param {Object} analysis - Analysis results (see analyze)
+ */
+function displayResults(analysis) {
+  var config = analysis.config;
+  var legendConfig = config.legend;
+
+  // Initialize map
+  Map.centerObject(analysis.region);
+
+  // Add map layers
+  Map.addLayer(
+    analysis.boundaries.style({color: 'gray', width: 0.5, fillColor: '00000000'}),
+    {},
+    'LLG Boundaries'
+  );
+
+  Map.addLayer(
+    analysis.population,
+    {palette: config.palettes.population, min: 0, max: config.populationMax},
+    'Population Distribution',
+    false
+  );
+
+  analysis.layers.forEach(function(layer) {
+    Map.addLayer(layer.image, layer.vis, layer.name, layer.shown !== false);
+
+    // Categorical layers carry their own legend
+    if (layer.legend) {
+      var layerLegend = createCategoricalLegendPanel(layer.legend.title, layer.legend.items);
+      layerLegend.style().set('position', 'bottom-right');
+      Map.add(layerLegend);
+    }
+  });
+
+  if (analysis.exposedPopulation) {
+    Map.addLayer(
+      analysis.exposedPopulation,
+      {palette: config.palettes.exposedPop, min: 0, max: config.populationMax},
+      'Exposed Population'
+    );
+  }
+
+  if (analysis.demographics) {
+    addDemographicSelector(analysis);
+  }
+
+  Map.addLayer(
+    createLLGRaster(analysis.llgStats, legendConfig.property),
+    {
+      min: legendConfig.min,
+      max: legendConfig.max,
+      palette: legendConfig.palette,
+      opacity: 0.8
+    },
+    legendConfig.layerName
+  );
+
+  // Add legend
+  addInteractiveLegend(analysis);
+
+  // Apply dark theme (optional)
+  var style = require('users/gena/packages:style');
+  style.SetMapStyleDark();
+}
+
+// ============================================================================
+// EXPORT RESULTS
+// ============================================================================
+
+/**
+ * Export a table to Google Drive as CSV
+ * @param {ee.FeatureCollection} collection - Table to export
+ * @param {string} description - Export task description / file name
+ * @param {Object} config - Run configuration
+ */
+function exportTable(collection, description, config) {
+  Export.table.toDrive({
+    collection: collection,
+    description: description,
+    folder: config.exportFolder,
+    fileFormat: 'CSV'
+  });
+}
+
+/**
+ * Export LLG and provincial statistics
+ * @param {Object} analysis - Analysis results (see analyze)
+ */
+function exportResults(analysis) {
+  var config = analysis.config;
+  exportTable(analysis.llgStats, config.exportDescriptions.llg, config);
+  exportTable(analysis.provinceStats, config.exportDescriptions.province, config);
+}
+
+// ============================================================================
+// CONSOLE OUTPUT
+// ============================================================================
+
+/**
+ * Print analysis summary to the console
+ * @param {Object} analysis - Analysis results (see analyze)
+ */
+function printSummary(analysis) {
+  var plugin = analysis.plugin;
+  var config = analysis.config;
+
+  print('=== ' + config.consoleTitle + ' ===');
+  if (plugin.summaryLines) {
+    plugin.summaryLines(config).forEach(function(line) {
+      print(line);
+    });
+  }
+  print('Population source: ' + getPopulationSource(config.populationSource).label +
+        ' (' + getPopulationScale(config) + 'm)');
+  if (analysis.projection) {
+    print('Population projected from ' + analysis.projection.baseYear + ' to ' +
+          analysis.projection.targetYear + ' (national rate ' +
+          (analysis.projection.nationalRate * 100).toFixed(2) + '%/year)');
+  }
+  if (analysis.buildings) {
+    print('Building footprints: ' + analysis.buildings.label);
+  }
+  print('Total LLGs analyzed:', analysis.boundaries.size());
+  print('Total provinces:', analysis.provinceStats.size());
+  print('');
+  print('LLG Statistics (sample):', analysis.llgStats.limit(3));
+  print('');
+  print('Provincial Statistics:', analysis.provinceStats);
+  print('');
+  print('National Totals:', analysis.nationalTotals);
+  print('');
+  print('Analysis complete. Check Tasks tab for export status.');
+}
+
+/**
+ * Run the full pipeline for a hazard: analysis, map, exports and console
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Analysis results (see analyze)
+ */
+function run(plugin, overrides) {
+  var analysis = analyze(plugin, overrides);
+
+  displayResults(analysis);
+  exportResults(analysis);
+  printSummary(analysis);
+
+  return analysis;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.registerHazard = registerHazard;
+exports.getHazard = getHazard;
+exports.listHazards = listHazards;
+exports.corePlugin = corePlugin;
+
+exports.mergeConfig = mergeConfig;
+exports.resolveConfig = resolveConfig;
+
+exports.loadCountryBoundary = loadCountryBoundary;
+exports.POPULATION_SOURCES = POPULATION_SOURCES;
+exports.getPopulationSource = getPopulationSource;
+exports.getPopulationScale = getPopulationScale;
+exports.getPopulationProjection = getPopulationProjection;
+exports.loadPopulationData = loadPopulationData;
+exports.loadAdministrativeBoundaries = loadAdministrativeBoundaries;
+
+exports.reduceSum = reduceSum;
+exports.getNumber = getNumber;
+exports.safeDivide = safeDivide;
+
+exports.calculateExposedPopulation = calculateExposedPopulation;
+exports.createHazardMask = createHazardMask;
+exports.maskMetrics = maskMetrics;
+exports.classMetrics = classMetrics;
+exports.calculateLLGStatistics = calculateLLGStatistics;
+exports.aggregateToProvinceLevel = aggregateToProvinceLevel;
+exports.sumByProvince = sumByProvince;
+exports.aggregateToScale = aggregateToScale;
+exports.AREA_METHOD = AREA_METHOD;
+exports.createAreaImage = createAreaImage;
+exports.areaMetrics = areaMetrics;
+exports.checkPopulationConsistency = checkPopulationConsistency;
+exports.addRank = addRank;
+exports.calculateNationalTotals = calculateNationalTotals;
+exports.pathwayPopulation = pathwayPopulation;
+exports.nationalGrowthRate = nationalGrowthRate;
+exports.createGrowthRateImage = createGrowthRateImage;
+exports.projectPopulation = projectPopulation;
+exports.DEMOGRAPHIC_GROUPS = DEMOGRAPHIC_GROUPS;
+exports.loadDemographicGroups = loadDemographicGroups;
+exports.BUILDING_SOURCES = BUILDING_SOURCES;
+exports.getBuildingSource = getBuildingSource;
+exports.getExposureClasses = getExposureClasses;
+exports.loadBuildings = loadBuildings;
+
+exports.analyze = analyze;
+exports.createLLGRaster = createLLGRaster;
+exports.createLegendPanel = createLegendPanel;
+exports.createCategoricalLegendPanel = createCategoricalLegendPanel;
+exports.addProvinceRanking = addProvinceRanking;
+exports.addDemographicSelector = addDemographicSelector;
+exports.addInteractiveLegend = addInteractiveLegend;
+exports.displayResults = displayResults;
+exports.exportTable = exportTable;
+exports.exportResults = exportResults;
+exports.printSummary = printSummary;
+exports.run = run;
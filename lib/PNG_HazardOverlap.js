@@ -0,0 +1,464 @@
+/**
+ * ============================================================================
+ * MULTI-HAZARD OVERLAP AND COMPOUND EXPOSURE FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Pixel-level overlap of the hazard masks of every registered hazard
+ *          (riverine flood mask, ≤10m coastal zone, landslide Risk_Level ≥ 3).
+ *          Reports the population in each mutually exclusive hazard
+ *          combination per LLG and province, and maps where compound
+ *          exposure is concentrated.
+ *
+ * Key Metrics:
+ *   - Pop_<Combination>: Population in exactly that combination of hazards,
+ *     e.g. Pop_Flood_Only, Pop_Flood_Coastal, Pop_Flood_Coastal_Landslide
+ *   - Pop_Any_Hazard / Pop_Multi_Hazard: Population in ≥1 / ≥2 hazards
+ *   - Double_Counted_Population: Sum of single-hazard exposures minus
+ *     Pop_Any_Hazard (people counted more than once when the separate hazard
+ *     tables are added together)
+ *
+ * Methodology Note:
+ *   All masks are reduced at one common scale so combinations are counted
+ *   on the same population pixels. Per-hazard totals may therefore differ
+ *   slightly from the single-hazard tables (e.g. landslide runs at 100m).
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+var multiHazard = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_MultiHazard');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Hazards to overlay (registered plugin ids)
+  hazards: ['riverine_flood', 'coastal_inundation', 'landslide'],
+
+  // Per-hazard configuration overrides keyed by hazard id
+  hazardSettings: {},
+
+  // Analysis parameters
+  scale: 30,                    // Common overlap resolution in meters
+  hotspotCellSize: 1000,        // Hotspot grid cell size in meters
+  hotspotMinPopulation: 50,     // Minimum compound-exposed people per cell
+
+  // Visualization parameters
+  hotspotMax: 2000,
+
+  // Color palettes (combinations indexed by combination code - 1; needs
+  // 2^n - 1 colors for n hazards, so extend it when adding a hazard)
+  palettes: {
+    combinations: ['#1f78b4', '#a6cee3', '#6a3d9a', '#b15928',
+                   '#ff7f00', '#fb9a99', '#e31a1c'],
+    hotspot: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15']
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Hazard_Overlap_Analysis',
+    province: 'PNG_Province_Hazard_Overlap_Summary',
+    populationCheck: 'PNG_LLG_Overlap_Population_Check'
+  },
+  consoleTitle: 'PNG MULTI-HAZARD OVERLAP ANALYSIS'
+};
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * List every non-empty combination of the analysed hazards
+ * Combination codes are bit flags: bit i set = hazard i present
+ *
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @return {Array<Object>} Combinations as {code, members, label, field}
+ */
+function listCombinations(analyses) {
+  var combinations = [];
+
+  for (var code = 1; code < Math.pow(2, analyses.length); code++) {
+    var members = analyses.filter(function(analysis, i) {
+      return (code & (1 << i)) !== 0;
+    }).map(function(analysis) {
+      return analysis.plugin.fieldPrefix;
+    });
+
+    combinations.push({
+      code: code,
+      members: members,
+      label: members.join(' + ') + (members.length === 1 ? ' only' : ''),
+      field: 'Pop_' + members.join('_') + (members.length === 1 ? '_Only' : '')
+    });
+  }
+
+  return combinations;
+}
+
+/**
+ * Encode hazard presence per pixel as a combination code
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @return {ee.Image} Combination code (0 = no hazard)
+ */
+function createCombinationImage(analyses) {
+  var code = ee.Image(0);
+
+  analyses.forEach(function(analysis, i) {
+    var mask = lib.createHazardMask(analysis.plugin, analysis.hazard, analysis.config);
+    code = code.add(mask.unmask(0).multiply(Math.pow(2, i)));
+  });
+
+  return code.rename('Hazard_Combination');
+}
+
+/**
+ * Count hazards present per pixel
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @return {ee.Image} Number of overlapping hazards
+ */
+function createHazardCountImage(analyses) {
+  var count = ee.Image(0);
+
+  analyses.forEach(function(analysis) {
+    var mask = lib.createHazardMask(analysis.plugin, analysis.hazard, analysis.config);
+    count = count.add(mask.unmask(0));
+  });
+
+  return count.rename('Hazard_Count');
+}
+
+/**
+ * Aggregate compound-exposed population onto a coarse hotspot grid
+ * @param {ee.Image} compoundPop - Population in ≥2 hazards
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Overlap configuration
+ * @return {ee.Image} Compound-exposed people per grid cell
+ */
+function createHotspotImage(compoundPop, region, config) {
+  var fineProjection = ee.Projection('EPSG:4326').atScale(config.scale);
+  var gridProjection = ee.Projection('EPSG:4326').atScale(config.hotspotCellSize);
+
+  var hotspot = compoundPop.unmask(0)
+    .setDefaultProjection(fineProjection)
+    .reduceResolution({reducer: ee.Reducer.sum().unweighted(), maxPixels: 65535})
+    .reproject(gridProjection)
+    .clip(region);
+
+  return hotspot.updateMask(hotspot.gte(config.hotspotMinPopulation))
+    .rename('Compound_Exposed_Population');
+}
+
+/**
+ * Add derived overlap totals and ratios to a feature
+ * @param {ee.Feature} feature - Feature holding combination counts
+ * @param {ee.Number} totalPop - Total population of the unit
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Array<Object>} combinations - Combinations (see listCombinations)
+ * @return {ee.Feature} Feature with derived fields
+ */
+function addOverlapTotals(feature, totalPop, analyses, combinations) {
+  var anyHazard = ee.Number(0);
+  var multiHazardPop = ee.Number(0);
+  var sumSingle = ee.Number(0);
+  var properties = {};
+
+  combinations.forEach(function(combination) {
+    var value = ee.Number(feature.get(combination.field));
+    anyHazard = anyHazard.add(value);
+    if (combination.members.length > 1) {
+      multiHazardPop = multiHazardPop.add(value);
+    }
+  });
+
+  // Per-hazard exposure = all combinations containing the hazard
+  analyses.forEach(function(analysis) {
+    var prefix = analysis.plugin.fieldPrefix;
+    var exposed = ee.Number(0);
+    combinations.forEach(function(combination) {
+      if (combination.members.indexOf(prefix) !== -1) {
+        exposed = exposed.add(ee.Number(feature.get(combination.field)));
+      }
+    });
+    properties['Pop_' + prefix + '_Exposed'] = exposed;
+    sumSingle = sumSingle.add(exposed);
+  });
+
+  properties['Pop_Any_Hazard'] = anyHazard;
+  properties['Pop_Multi_Hazard'] = multiHazardPop;
+  properties['Sum_Single_Hazard_Exposure'] = sumSingle;
+  properties['Double_Counted_Population'] = sumSingle.subtract(anyHazard);
+  properties['Any_Hazard_Ratio'] = lib.safeDivide(anyHazard, totalPop);
+  properties['Multi_Hazard_Ratio'] = lib.safeDivide(multiHazardPop, totalPop);
+
+  return feature.set(properties);
+}
+
+/**
+ * Calculate population per hazard combination for each LLG
+ * Uses a single multi-band image to reduce computation time
+ *
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {ee.Image} population - Population image
+ * @param {ee.Image} combinationImage - Combination code image
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Array<Object>} combinations - Combinations (see listCombinations)
+ * @param {Object} config - Overlap configuration
+ * @return {ee.FeatureCollection} LLG overlap statistics
+ */
+function calculateLLGOverlap(boundaries, population, combinationImage, analyses, combinations, config) {
+  var pop = population.select([0], ['total_pop']);
+  var bands = [pop];
+  combinations.forEach(function(combination) {
+    bands.push(pop.updateMask(combinationImage.eq(combination.code)).rename(combination.field));
+  });
+  var multiband = ee.Image(bands);
+
+  return boundaries.map(function(feature) {
+    var stats = lib.reduceSum(multiband, feature.geometry(), config);
+    var totalPop = lib.getNumber(stats, 'total_pop').round();
+
+    var properties = {'LLG_Population': totalPop};
+    combinations.forEach(function(combination) {
+      properties[combination.field] = lib.getNumber(stats, combination.field).round();
+    });
+
+    return addOverlapTotals(feature.set(properties), totalPop, analyses, combinations);
+  });
+}
+
+/**
+ * Aggregate LLG overlap statistics to provincial level
+ * @param {ee.FeatureCollection} llgOverlap - LLG overlap statistics
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Array<Object>} combinations - Combinations (see listCombinations)
+ * @param {Object} config - Overlap configuration
+ * @return {ee.FeatureCollection} Provincial overlap statistics
+ */
+function aggregateOverlapToProvince(llgOverlap, analyses, combinations, config) {
+  var fields = combinations.map(function(combination) { return combination.field; });
+  var sums = lib.sumByProvince(llgOverlap, ['LLG_Population'].concat(fields), config);
+
+  return sums.map(function(feature) {
+    var totalPop = ee.Number(feature.get('LLG_Population'));
+    var province = ee.Feature(null, feature.toDictionary().remove(['LLG_Population']))
+      .set('Total_Population', totalPop);
+    return addOverlapTotals(province, totalPop, analyses, combinations);
+  });
+}
+
+/**
+ * Calculate national totals per combination from the provincial table
+ * @param {ee.FeatureCollection} provinceOverlap - Provincial overlap statistics
+ * @param {Array<Object>} combinations - Combinations (see listCombinations)
+ * @return {ee.Dictionary} National totals keyed by field
+ */
+function calculateNationalOverlap(provinceOverlap, combinations) {
+  var fields = combinations.map(function(combination) { return combination.field; })
+    .concat(['Pop_Any_Hazard', 'Pop_Multi_Hazard', 'Double_Counted_Population']);
+
+  var totals = {};
+  fields.forEach(function(field) {
+    totals[field] = provinceOverlap.aggregate_sum(field);
+  });
+  return ee.Dictionary(totals);
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run hazard pipelines and the overlap analysis
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Overlap results: config, analyses, populationMismatches,
+ *                  combinations, region, boundaries, population,
+ *                  combinationImage, hotspot, llgOverlap,
+ *                  provinceOverlap, nationalOverlap
+ */
+function analyze(overrides) {
+  var config = lib.mergeConfig(lib.DEFAULTS, DEFAULTS, overrides);
+  var analyses = multiHazard.analyzeHazards(config);
+  var combinations = listCombinations(analyses);
+  if (config.palettes.combinations.length < combinations.length) {
+    throw new Error('palettes.combinations needs ' + combinations.length + ' colors for ' +
+                    analyses.length + ' hazards (2^n - 1), got ' + config.palettes.combinations.length);
+  }
+
+  // Overlap counts assume every hazard run sees the same LLG populations
+  var populationMismatches = lib.checkPopulationConsistency(analyses, config.populationCheck);
+
+  var region = analyses[0].region;
+  var population = analyses[0].population;
+  var combinationImage = createCombinationImage(analyses).clip(region);
+  var hazardCount = createHazardCountImage(analyses).clip(region);
+  var compoundPop = population.updateMask(hazardCount.gte(2));
+
+  var results = {
+    config: config,
+    analyses: analyses,
+    populationMismatches: populationMismatches,
+    combinations: combinations,
+    region: region,
+    boundaries: analyses[0].boundaries,
+    population: population,
+    combinationImage: combinationImage,
+    hotspot: createHotspotImage(compoundPop, region.geometry(), config)
+  };
+
+  results.llgOverlap = calculateLLGOverlap(
+    results.boundaries, population, combinationImage, analyses, combinations, config
+  );
+  results.provinceOverlap = aggregateOverlapToProvince(results.llgOverlap, analyses, combinations, config);
+  results.nationalOverlap = calculateNationalOverlap(results.provinceOverlap, combinations);
+
+  return results;
+}
+
+// ============================================================================
+// VISUALIZATION
+// ============================================================================
+
+/**
+ * Add combination legend with national totals
+ * @param {Object} results - Overlap results (see analyze)
+ */
+function addOverlapLegend(results) {
+  var config = results.config;
+  var items = results.combinations.map(function(combination) {
+    return {color: config.palettes.combinations[combination.code - 1], label: combination.label};
+  });
+  var legend = lib.createCategoricalLegendPanel('Hazard Combination', items);
+
+  // National statistics
+  results.nationalOverlap.evaluate(function(totals) {
+    legend.add(ui.Label({
+      value: 'National Population by Combination:',
+      style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
+    }));
+    results.combinations.forEach(function(combination) {
+      legend.add(ui.Label(
+        combination.label + ': ' + Math.round(totals[combination.field]).toLocaleString(),
+        {fontSize: '12px'}
+      ));
+    });
+
+    legend.add(ui.Label({
+      value: 'Multi-Hazard Population: ' + Math.round(totals.Pop_Multi_Hazard).toLocaleString(),
+      style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
+    }));
+    legend.add(ui.Label(
+      'Counted twice in single-hazard totals: ' +
+        Math.round(totals.Double_Counted_Population).toLocaleString(),
+      {fontSize: '12px'}
+    ));
+  });
+
+  Map.add(legend);
+}
+
+/**
+ * Add overlap map layers and legend
+ * @param {Object} results - Overlap results (see analyze)
+ */
+function displayResults(results) {
+  var config = results.config;
+  var maxCode = results.combinations.length;
+
+  // Initialize map
+  Map.centerObject(results.region);
+
+  // Add map layers
+  Map.addLayer(
+    results.boundaries.style({color: 'gray', width: 0.5, fillColor: '00000000'}),
+    {},
+    'LLG Boundaries'
+  );
+
+  Map.addLayer(
+    results.population,
+    {palette: config.palettes.population, min: 0, max: config.populationMax},
+    'Population Distribution',
+    false
+  );
+
+  Map.addLayer(
+    results.combinationImage.selfMask(),
+    {min: 1, max: maxCode, palette: config.palettes.combinations.slice(0, maxCode)},
+    'Hazard Combination'
+  );
+
+  Map.addLayer(
+    results.hotspot,
+    {min: config.hotspotMinPopulation, max: config.hotspotMax, palette: config.palettes.hotspot},
+    'Compound Exposure Hotspots (people per ' + config.hotspotCellSize + 'm cell)'
+  );
+
+  Map.addLayer(
+    lib.createLLGRaster(results.llgOverlap, 'Multi_Hazard_Ratio'),
+    {min: 0, max: 0.5, palette: config.palettes.hotspot, opacity: 0.8},
+    'Multi-Hazard Ratio (LLG Level)',
+    false
+  );
+
+  // Add legend
+  addOverlapLegend(results);
+
+  // Apply dark theme (optional)
+  var style = require('users/gena/packages:style');
+  style.SetMapStyleDark();
+}
+
+/**
+ * Run overlap analysis with map, exports and console output
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Overlap results (see analyze)
+ */
+function run(overrides) {
+  var results = analyze(overrides);
+  var config = results.config;
+
+  displayResults(results);
+
+  // Export results
+  lib.exportTable(results.llgOverlap, config.exportDescriptions.llg, config);
+  lib.exportTable(results.provinceOverlap, config.exportDescriptions.province, config);
+  lib.exportTable(results.populationMismatches, config.exportDescriptions.populationCheck, config);
+
+  // Console output
+  print('=== ' + config.consoleTitle + ' ===');
+  print('Hazards overlaid:', config.hazards);
+  print('Combinations:', results.combinations.map(function(c) { return c.field; }));
+  print('Total LLGs analyzed:', results.llgOverlap.size());
+  print('');
+  print('National Totals:', results.nationalOverlap);
+  print('');
+  print('LLG Overlap (top 10 by multi-hazard population):',
+        results.llgOverlap.sort('Pop_Multi_Hazard', false).limit(10));
+  print('');
+  print('Provincial Overlap:', results.provinceOverlap);
+  print('');
+  print('Analysis complete. Check Tasks tab for export status.');
+
+  return results;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.listCombinations = listCombinations;
+exports.createCombinationImage = createCombinationImage;
+exports.createHazardCountImage = createHazardCountImage;
+exports.createHotspotImage = createHotspotImage;
+exports.calculateLLGOverlap = calculateLLGOverlap;
+exports.aggregateOverlapToProvince = aggregateOverlapToProvince;
+exports.calculateNationalOverlap = calculateNationalOverlap;
+
+exports.analyze = analyze;
+exports.addOverlapLegend = addOverlapLegend;
+exports.displayResults = displayResults;
+exports.run = run;
@@ -0,0 +1,434 @@
+/**
+ * ============================================================================
+ * CRITICAL FACILITY AND ROAD EXPOSURE FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Overlay facility points (health centres, aid posts, schools,
+ *          airstrips, wharves) and road lines on the hazard layer of any
+ *          registered hazard. Reports exposed facility counts by type and
+ *          hazard class and exposed road length per LLG and province, maps
+ *          the exposed sites and exports one row per exposed facility.
+ *
+ * Data Sources:
+ *   - Facilities: point or polygon FeatureCollection (OSM extract or user
+ *     upload) with type attributes (OSM amenity / aeroway) mapped to
+ *     facility types
+ *   - Roads: line FeatureCollection (OSM extract or user upload)
+ *   - Hazard: flood mask, coastal zone or landslide classes from the plugin
+ *
+ * Key Metrics:
+ *   - <Type>_Total / <Type>_Exposed: facilities in the LLG / in the hazard
+ *   - <Type>_<Class>: exposed facilities per hazard class (class hazards)
+ *   - Road_Total_km / Road_Exposed_km / Road_<Class>_km: road length (km)
+ *
+ * Methodology Note:
+ *   Facilities are exposed when their point falls in a hazard pixel
+ *   (flood mask, coastal zone, landslide classes at or above
+ *   exposureMinClass). Roads are cut into segments of roads.segmentLength
+ *   and each segment is assigned the hazard class at its midpoint.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Facility points: `values` of typeField (or the type's own `field`)
+  // that belong to each type
+  facilities: {
+    asset: null,                // Point FeatureCollection
+    typeField: 'amenity',
+    nameField: 'name',
+    types: {
+      healthCentre: {label: 'Health centre', prefix: 'Health_Centre', values: ['hospital', 'clinic', 'health_centre'], color: '#e31a1c'},
+      aidPost: {label: 'Aid post', prefix: 'Aid_Post', values: ['doctors', 'aid_post'], color: '#fb9a99'},
+      school: {label: 'School', prefix: 'School', values: ['school', 'college', 'kindergarten'], color: '#1f78b4'},
+      airstrip: {label: 'Airstrip', prefix: 'Airstrip', field: 'aeroway', values: ['aerodrome', 'airstrip'], color: '#6a3d9a'},
+      wharf: {label: 'Wharf', prefix: 'Wharf', values: ['ferry_terminal', 'pier', 'wharf'], color: '#33a02c'}
+    }
+  },
+
+  // Road lines, cut into segments for the length calculation
+  roads: {
+    asset: null,                // Line FeatureCollection
+    segmentLength: 100          // Meters
+  },
+
+  // Visualization parameters
+  palettes: {
+    roads: '#969696',
+    exposedRoads: '#ff7f00'
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Infrastructure_Exposure',
+    province: 'PNG_Province_Infrastructure_Exposure',
+    facilities: 'PNG_Exposed_Facilities'
+  }
+};
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Load facilities and tag them with their facility type
+ * Facilities whose type value is not listed in any type are dropped
+ *
+ * @param {Object} settings - Facility settings
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {ee.FeatureCollection} Facilities with facility_type
+ */
+function loadFacilities(settings, region) {
+  var facilities = ee.FeatureCollection(settings.asset).filterBounds(region);
+
+  var typed = Object.keys(settings.types).map(function(typeId) {
+    var type = settings.types[typeId];
+    return facilities
+      .filter(ee.Filter.inList(type.field || settings.typeField, type.values))
+      .map(function(feature) { return feature.set('facility_type', typeId); });
+  });
+
+  return ee.FeatureCollection(typed).flatten();
+}
+
+/**
+ * Cut roads into segments represented by their midpoint
+ * @param {Object} settings - Road settings
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {ee.FeatureCollection} Segment midpoints with segment_km
+ */
+function loadRoadSegments(settings, region) {
+  var roads = ee.FeatureCollection(settings.asset).filterBounds(region);
+
+  return roads.map(function(road) {
+    var geometry = road.geometry();
+    var cuts = ee.List.sequence(0, geometry.length(1), settings.segmentLength).slice(1);
+    var pieces = geometry.cutLines(cuts, 1).geometries();
+
+    return ee.FeatureCollection(pieces.map(function(piece) {
+      piece = ee.Geometry(piece);
+      return ee.Feature(piece.centroid(1), {'segment_km': piece.length(1).divide(1000)});
+    }));
+  }).flatten();
+}
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Hazard classes facilities and roads are reported for
+ * Mask hazards have one class; class hazards report every class at or
+ * above exposureMinClass
+ *
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @return {Array<Object>} Classes as {value, label, prefix}
+ */
+function listHazardClasses(analysis) {
+  var plugin = analysis.plugin;
+  var config = analysis.config;
+  if (plugin.type === 'mask') {
+    return [{value: 1, label: plugin.name, prefix: plugin.fieldPrefix}];
+  }
+
+  return config.classes.filter(function(cls) {
+    return cls.value >= config.exposureMinClass;
+  }).map(function(cls) {
+    return {value: cls.value, label: cls.label, prefix: cls.prefix};
+  });
+}
+
+/**
+ * Hazard class per pixel, masked outside the hazard
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @return {ee.Image} Hazard class (band 'hazard_class')
+ */
+function createClassImage(analysis) {
+  var mask = lib.createHazardMask(analysis.plugin, analysis.hazard, analysis.config);
+  var classes = analysis.plugin.type === 'mask' ? mask : analysis.hazard.updateMask(mask);
+  var bands = [classes.select([0], ['hazard_class'])];
+
+  // Flood runs also record the depth class of each site
+  if (analysis.hazardData.depthClasses) {
+    bands.push(analysis.hazardData.depthClasses.select([0], ['depth_class']));
+  }
+  return ee.Image(bands);
+}
+
+/**
+ * Attach the hazard class at each feature and keep the exposed ones
+ * Polygon features (OSM hospitals and schools are often building outlines)
+ * are sampled at their centroid
+ *
+ * @param {ee.FeatureCollection} features - Points or polygons
+ * @param {ee.Image} classImage - Hazard class image (see createClassImage)
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Exposed features with hazard_class
+ */
+function sampleHazard(features, classImage, config) {
+  var points = features.map(function(feature) {
+    return feature.setGeometry(feature.geometry().centroid(1));
+  });
+
+  return classImage.reduceRegions({
+    collection: points,
+    reducer: ee.Reducer.first().forEachBand(classImage),
+    scale: config.scale,
+    tileScale: config.tileScale
+  }).filter(ee.Filter.notNull(['hazard_class']));
+}
+
+/**
+ * Facility counts and road length for each LLG
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} layers - Input layers: facilities, exposedFacilities,
+ *                          segments, exposedSegments (any may be null)
+ * @param {Object} infraConfig - Infrastructure configuration
+ * @return {ee.FeatureCollection} LLG infrastructure statistics
+ */
+function calculateLLGInfrastructure(analysis, layers, infraConfig) {
+  var classes = listHazardClasses(analysis);
+  var perClass = analysis.plugin.type !== 'mask';
+  var types = infraConfig.facilities.types;
+
+  return analysis.boundaries.map(function(feature) {
+    var geometry = feature.geometry();
+    var properties = {};
+
+    if (layers.facilities) {
+      var facilities = layers.facilities.filterBounds(geometry);
+      var exposed = layers.exposedFacilities.filterBounds(geometry);
+
+      Object.keys(types).forEach(function(typeId) {
+        var prefix = types[typeId].prefix;
+        var exposedOfType = exposed.filter(ee.Filter.eq('facility_type', typeId));
+        properties[prefix + '_Total'] = facilities.filter(ee.Filter.eq('facility_type', typeId)).size();
+        properties[prefix + '_Exposed'] = exposedOfType.size();
+
+        if (perClass) {
+          classes.forEach(function(cls) {
+            properties[prefix + '_' + cls.prefix] = exposedOfType.filter(ee.Filter.eq('hazard_class', cls.value)).size();
+          });
+        }
+      });
+    }
+
+    if (layers.segments) {
+      var exposedSegments = layers.exposedSegments.filterBounds(geometry);
+      properties['Road_Total_km'] = layers.segments.filterBounds(geometry).aggregate_sum('segment_km');
+      properties['Road_Exposed_km'] = exposedSegments.aggregate_sum('segment_km');
+
+      if (perClass) {
+        classes.forEach(function(cls) {
+          properties['Road_' + cls.prefix + '_km'] =
+            exposedSegments.filter(ee.Filter.eq('hazard_class', cls.value)).aggregate_sum('segment_km');
+        });
+      }
+    }
+
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Infrastructure fields summed from LLG to province
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} layers - Input layers (see calculateLLGInfrastructure)
+ * @param {Object} infraConfig - Infrastructure configuration
+ * @return {Array<string>} Field names
+ */
+function listInfrastructureFields(analysis, layers, infraConfig) {
+  var classes = listHazardClasses(analysis);
+  var perClass = analysis.plugin.type !== 'mask';
+  var types = infraConfig.facilities.types;
+  var fields = [];
+
+  if (layers.facilities) {
+    Object.keys(types).forEach(function(typeId) {
+      var prefix = types[typeId].prefix;
+      fields.push(prefix + '_Total', prefix + '_Exposed');
+      if (perClass) {
+        classes.forEach(function(cls) { fields.push(prefix + '_' + cls.prefix); });
+      }
+    });
+  }
+  if (layers.segments) {
+    fields.push('Road_Total_km', 'Road_Exposed_km');
+    if (perClass) {
+      classes.forEach(function(cls) { fields.push('Road_' + cls.prefix + '_km'); });
+    }
+  }
+  return fields;
+}
+
+/**
+ * One row per exposed facility with its hazard attributes and LLG
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {ee.FeatureCollection} exposedFacilities - Exposed facilities
+ * @param {Object} infraConfig - Infrastructure configuration
+ * @return {ee.FeatureCollection} Facility table
+ */
+function buildFacilityTable(analysis, exposedFacilities, infraConfig) {
+  var config = analysis.config;
+  var settings = infraConfig.facilities;
+  var classes = listHazardClasses(analysis);
+
+  var typeLabels = ee.Dictionary({});
+  Object.keys(settings.types).forEach(function(typeId) {
+    typeLabels = typeLabels.set(typeId, settings.types[typeId].label);
+  });
+  var classLabels = ee.Dictionary.fromLists(
+    classes.map(function(cls) { return String(cls.value); }),
+    classes.map(function(cls) { return cls.label; })
+  );
+  var depthLabels = config.depthBands ? ee.List(config.depthBands.map(function(band) { return band.label; })) : null;
+
+  var joined = ee.Join.saveFirst('llg').apply(
+    exposedFacilities,
+    analysis.boundaries,
+    ee.Filter.intersects({leftField: '.geo', rightField: '.geo', maxError: 10})
+  );
+
+  return ee.FeatureCollection(joined).map(function(feature) {
+    var llg = ee.Feature(feature.get('llg'));
+    var hazardClass = ee.Number(feature.get('hazard_class'));
+    var coordinates = feature.geometry().centroid(1).coordinates();
+
+    var properties = {
+      'Name': feature.get(settings.nameField),
+      'Facility_Type': typeLabels.get(feature.get('facility_type')),
+      'Hazard': analysis.plugin.name,
+      'Hazard_Class': hazardClass,
+      'Hazard_Class_Label': classLabels.get(hazardClass.format('%d')),
+      'Province': llg.get(config.provinceField),
+      'LLG_Index': llg.id(),
+      'Longitude': coordinates.get(0),
+      'Latitude': coordinates.get(1)
+    };
+    if (depthLabels) {
+      // Sites in a gap between custom depthBands have no depth class
+      var depthClass = feature.get('depth_class');
+      properties['Depth_Class'] = ee.Algorithms.If(
+        depthClass, depthLabels.get(ee.Number(depthClass).subtract(1)), null
+      );
+    }
+
+    return ee.Feature(feature.geometry(), properties);
+  });
+}
+
+// ============================================================================
+// VISUALIZATION
+// ============================================================================
+
+/**
+ * Add road and exposed-facility layers with a facility legend
+ * @param {Object} layers - Input layers (see calculateLLGInfrastructure)
+ * @param {Object} infraConfig - Infrastructure configuration
+ */
+function displayInfrastructure(layers, infraConfig) {
+  var types = infraConfig.facilities.types;
+
+  if (layers.segments) {
+    Map.addLayer(layers.segments.style({color: infraConfig.palettes.roads, pointSize: 1}), {}, 'Road Segments', false);
+    Map.addLayer(layers.exposedSegments.style({color: infraConfig.palettes.exposedRoads, pointSize: 2}), {}, 'Exposed Roads');
+  }
+
+  if (layers.facilities) {
+    Object.keys(types).forEach(function(typeId) {
+      var type = types[typeId];
+      Map.addLayer(
+        layers.exposedFacilities.filter(ee.Filter.eq('facility_type', typeId))
+          .style({color: type.color, pointSize: 5, pointShape: 'diamond'}),
+        {},
+        'Exposed ' + type.label + 's'
+      );
+    });
+
+    var legend = lib.createCategoricalLegendPanel('Exposed Facilities', Object.keys(types).map(function(typeId) {
+      return {color: types[typeId].color, label: types[typeId].label};
+    }));
+    legend.style().set('position', 'bottom-center');
+    Map.add(legend);
+  }
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the infrastructure module on a hazard analysis: tables, map layers,
+ * exports
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} overrides - Infrastructure configuration overrides
+ * @return {Object} Infrastructure results: config, exposedFacilities,
+ *                  llgStats, provinceStats, facilityTable
+ */
+function runInfrastructureAnalysis(analysis, overrides) {
+  var config = analysis.config;
+  var infraConfig = lib.mergeConfig(DEFAULTS, overrides);
+  if (!infraConfig.facilities.asset && !infraConfig.roads.asset) {
+    throw new Error('Infrastructure analysis needs facilities.asset or roads.asset');
+  }
+
+  var region = analysis.region.geometry();
+  var classImage = createClassImage(analysis);
+  var layers = {facilities: null, exposedFacilities: null, segments: null, exposedSegments: null};
+
+  if (infraConfig.facilities.asset) {
+    layers.facilities = loadFacilities(infraConfig.facilities, region);
+    layers.exposedFacilities = sampleHazard(layers.facilities, classImage, config);
+  }
+  if (infraConfig.roads.asset) {
+    layers.segments = loadRoadSegments(infraConfig.roads, region);
+    layers.exposedSegments = sampleHazard(layers.segments, classImage, config);
+  }
+
+  var llgStats = calculateLLGInfrastructure(analysis, layers, infraConfig);
+  var provinceStats = lib.sumByProvince(llgStats, listInfrastructureFields(analysis, layers, infraConfig), config);
+
+  displayInfrastructure(layers, infraConfig);
+
+  lib.exportTable(llgStats, infraConfig.exportDescriptions.llg, config);
+  lib.exportTable(provinceStats, infraConfig.exportDescriptions.province, config);
+
+  var facilityTable = null;
+  if (layers.exposedFacilities) {
+    facilityTable = buildFacilityTable(analysis, layers.exposedFacilities, infraConfig);
+    lib.exportTable(facilityTable, infraConfig.exportDescriptions.facilities, config);
+    print('Exposed facilities:', layers.exposedFacilities.size());
+  }
+  print('Provincial Infrastructure Exposure:', provinceStats);
+
+  return {
+    config: infraConfig,
+    exposedFacilities: layers.exposedFacilities,
+    llgStats: llgStats,
+    provinceStats: provinceStats,
+    facilityTable: facilityTable
+  };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.loadFacilities = loadFacilities;
+exports.loadRoadSegments = loadRoadSegments;
+exports.listHazardClasses = listHazardClasses;
+exports.createClassImage = createClassImage;
+exports.sampleHazard = sampleHazard;
+exports.calculateLLGInfrastructure = calculateLLGInfrastructure;
+exports.buildFacilityTable = buildFacilityTable;
+exports.displayInfrastructure = displayInfrastructure;
+exports.runInfrastructureAnalysis = runInfrastructureAnalysis;
@@ -0,0 +1,371 @@
+/**
+ * ============================================================================
+ * AGRICULTURAL LAND AND FOOD-GARDEN EXPOSURE FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Intersect the hazard layer of any registered hazard (flood mask,
+ *          coastal zone, landslide classes) with a land-cover product and
+ *          report hectares of cropland, tree crops, mangrove and forest
+ *          exposed per LLG and province. Most households rely on subsistence
+ *          gardens, so cropland exposure complements the population counts.
+ *
+ * Data Sources (see LAND_COVER_PRODUCTS):
+ *   - ESA WorldCover v200 (10m, 2021), default
+ *   - Dynamic World (10m, modal label of `year`)
+ *   - User land-cover asset with its own class values
+ *   - Tree crops: Global Oil Palm plantations (BIOPAMA, oil palm only) or a
+ *     user asset for other tree crops, overlaid on the land-cover classes
+ *
+ * Key Metrics:
+ *   - <Category>_Total_ha / <Category>_Exposed_ha: hectares in the LLG / in
+ *     the hazard (class hazards: at or above exposureMinClass)
+ *   - <Category>_Exposure_Ratio: exposed ÷ total hectares
+ *   - Livelihood_Exposure_Ratio: exposed cropland ÷ total cropland
+ *
+ * Methodology Note:
+ *   Land cover is read at the analysis scale (config.scale) and areas are
+ *   sums of geodesic pixel area. Tree-crop pixels are taken out of the
+ *   cropland, mangrove and forest classes, so categories never overlap.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Land-cover product (see LAND_COVER_PRODUCTS): 'worldcover',
+  // 'dynamicWorld' or 'custom'
+  product: 'worldcover',
+  year: 2021,                   // Dynamic World composite year
+  custom: {
+    asset: null,                // Categorical land-cover image
+    band: 0,
+    classes: {cropland: [], mangrove: [], forest: []}
+  },
+
+  // Tree-crop overlay. The default is the BIOPAMA oil-palm map only;
+  // coconut, cocoa and coffee need a mask of your own in `asset`.
+  // `enabled: false` skips the category
+  treeCrops: {
+    enabled: true,
+    asset: null,                // Image, non-zero = tree crops
+    collection: 'BIOPAMA/GlobalOilPalm/v1',
+    band: 'classification',
+    values: [1, 2]              // Industrial and smallholder plantations
+  },
+
+  // Reported categories, in output order
+  categories: {
+    cropland: {label: 'Cropland', prefix: 'Cropland', color: '#f096ff'},
+    treeCrops: {label: 'Tree crops', prefix: 'Tree_Crops', color: '#8c510a'},
+    mangrove: {label: 'Mangrove', prefix: 'Mangrove', color: '#00cf75'},
+    forest: {label: 'Forest', prefix: 'Forest', color: '#006400'}
+  },
+
+  // Visualization parameters
+  palettes: {
+    livelihood: ['#ffffcc', '#c2e699', '#78c679', '#31a354', '#006837']
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_LandCover_Exposure',
+    province: 'PNG_Province_LandCover_Exposure'
+  }
+};
+
+// Land-cover products and the class values of each category
+var LAND_COVER_PRODUCTS = {
+  worldcover: {
+    label: 'ESA WorldCover v200',
+    collection: 'ESA/WorldCover/v200',
+    band: 'Map',
+    classes: {cropland: [40], mangrove: [95], forest: [10]}
+  },
+  dynamicWorld: {
+    label: 'Dynamic World',
+    collection: 'GOOGLE/DYNAMICWORLD/V1',
+    band: 'label',
+    yearly: true,
+    classes: {cropland: [4], mangrove: [], forest: [1]}
+  },
+  custom: {
+    label: 'User land cover',
+    band: 0
+  }
+};
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Load the land-cover classes of the configured product
+ * @param {Object} coverConfig - Land-cover configuration
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {Object} {label, image (band 'land_cover'), classes}
+ */
+function loadLandCover(coverConfig, region) {
+  var product = LAND_COVER_PRODUCTS[coverConfig.product];
+  if (!product) {
+    throw new Error('Unknown land-cover product: ' + coverConfig.product);
+  }
+
+  var image;
+  var classes = product.classes;
+  if (coverConfig.product === 'custom') {
+    if (!coverConfig.custom.asset) {
+      throw new Error('Land-cover product custom needs custom.asset');
+    }
+    image = ee.Image(coverConfig.custom.asset).select([coverConfig.custom.band], ['land_cover']);
+    classes = coverConfig.custom.classes;
+  } else {
+    var images = ee.ImageCollection(product.collection).filterBounds(region).select([product.band], ['land_cover']);
+    if (product.yearly) {
+      var start = ee.Date.fromYMD(coverConfig.year, 1, 1);
+      images = images.filterDate(start, start.advance(1, 'year'));
+      image = images.mode();
+    } else {
+      image = images.mosaic();
+    }
+  }
+
+  return {label: product.label, image: image.clip(region), classes: classes};
+}
+
+/**
+ * Load the tree-crop overlay
+ * @param {Object} settings - Tree-crop settings
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {ee.Image} Tree-crop mask (1 = tree crops, masked elsewhere)
+ */
+function loadTreeCrops(settings, region) {
+  if (settings.asset) {
+    return ee.Image(settings.asset).select(0).neq(0).selfMask().clip(region);
+  }
+
+  var plantations = ee.ImageCollection(settings.collection).filterBounds(region).select(settings.band).mosaic();
+  return plantations.remap(settings.values, settings.values.map(function() { return 1; })).selfMask().clip(region);
+}
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Category mask for each reported category
+ * Tree crops take precedence over cropland, mangrove and forest
+ *
+ * @param {Object} landCover - Land cover (see loadLandCover)
+ * @param {Object} coverConfig - Land-cover configuration
+ * @param {ee.Geometry} region - Study area geometry
+ * @return {Object} {<category id>: ee.Image mask}, categories without
+ *                  classes in the product are left out
+ */
+function createCategoryMasks(landCover, coverConfig, region) {
+  var masks = {};
+  var treeCrops = coverConfig.treeCrops.enabled ? loadTreeCrops(coverConfig.treeCrops, region) : null;
+  var notTreeCrops = treeCrops ? treeCrops.unmask(0).not() : ee.Image(1);
+
+  Object.keys(coverConfig.categories).forEach(function(categoryId) {
+    if (categoryId === 'treeCrops') {
+      if (treeCrops) {
+        masks[categoryId] = treeCrops;
+      }
+      return;
+    }
+
+    var values = landCover.classes[categoryId] || [];
+    if (values.length === 0) {
+      return;
+    }
+    var inCategory = landCover.image.remap(values, values.map(function() { return 1; }), 0);
+    masks[categoryId] = inCategory.and(notTreeCrops).selfMask();
+  });
+
+  return masks;
+}
+
+/**
+ * Total and exposed hectare bands for each category
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} masks - Category masks (see createCategoryMasks)
+ * @return {ee.Image} Two bands per category
+ */
+function buildLandCoverImage(analysis, masks) {
+  var hazardMask = lib.createHazardMask(analysis.plugin, analysis.hazard, analysis.config);
+  var bands = [];
+
+  Object.keys(masks).forEach(function(categoryId) {
+    var hectares = lib.createAreaImage(masks[categoryId]).multiply(100);
+    bands.push(hectares.rename(categoryId + '_total'));
+    bands.push(hectares.updateMask(hazardMask).rename(categoryId + '_exposed'));
+  });
+
+  return ee.Image(bands);
+}
+
+/**
+ * Hectares, exposure ratio and livelihood exposure ratio
+ * @param {Object} masks - Category masks (see createCategoryMasks)
+ * @param {Object} coverConfig - Land-cover configuration
+ * @param {Function} value - function(categoryId, kind, field) returning the
+ *                           total ('total') or exposed ('exposed') hectares
+ * @return {Object} Feature properties
+ */
+function landCoverFields(masks, coverConfig, value) {
+  var properties = {};
+
+  Object.keys(masks).forEach(function(categoryId) {
+    var prefix = coverConfig.categories[categoryId].prefix;
+    var total = value(categoryId, 'total', prefix + '_Total_ha');
+    var exposed = value(categoryId, 'exposed', prefix + '_Exposed_ha');
+
+    properties[prefix + '_Total_ha'] = total;
+    properties[prefix + '_Exposed_ha'] = exposed;
+    properties[prefix + '_Exposure_Ratio'] = lib.safeDivide(exposed, total);
+  });
+
+  if (masks.cropland) {
+    properties['Livelihood_Exposure_Ratio'] = properties[coverConfig.categories.cropland.prefix + '_Exposure_Ratio'];
+  }
+  return properties;
+}
+
+/**
+ * Land-cover exposure for each LLG
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} masks - Category masks (see createCategoryMasks)
+ * @param {Object} coverConfig - Land-cover configuration
+ * @return {ee.FeatureCollection} LLG land-cover statistics
+ */
+function calculateLLGLandCover(analysis, masks, coverConfig) {
+  var config = analysis.config;
+  var image = buildLandCoverImage(analysis, masks);
+
+  return analysis.boundaries.map(function(feature) {
+    var stats = lib.reduceSum(image, feature.geometry(), config);
+    return feature.set(landCoverFields(masks, coverConfig, function(categoryId, kind) {
+      return lib.getNumber(stats, categoryId + '_' + kind);
+    }));
+  });
+}
+
+/**
+ * Aggregate LLG land-cover exposure to provincial level
+ * @param {ee.FeatureCollection} llgStats - LLG land-cover statistics
+ * @param {Object} masks - Category masks (see createCategoryMasks)
+ * @param {Object} coverConfig - Land-cover configuration
+ * @param {Object} config - Hazard run configuration
+ * @return {ee.FeatureCollection} Provincial land-cover statistics
+ */
+function aggregateLandCoverToProvince(llgStats, masks, coverConfig, config) {
+  var provinceField = config.provinceField;
+  var provinces = llgStats.aggregate_array(provinceField).distinct();
+
+  var provinceStats = provinces.map(function(provinceName) {
+    var filtered = llgStats.filter(ee.Filter.eq(provinceField, provinceName));
+    var properties = landCoverFields(masks, coverConfig, function(categoryId, kind, field) {
+      return filtered.aggregate_sum(field);
+    });
+    properties['Province'] = provinceName;
+    return ee.Feature(null, properties);
+  });
+
+  return ee.FeatureCollection(provinceStats).sort('Province');
+}
+
+// ============================================================================
+// VISUALIZATION
+// ============================================================================
+
+/**
+ * Add exposed land-cover and livelihood exposure layers with a legend
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} masks - Category masks (see createCategoryMasks)
+ * @param {ee.FeatureCollection} llgStats - LLG land-cover statistics
+ * @param {Object} coverConfig - Land-cover configuration
+ */
+function displayLandCover(analysis, masks, llgStats, coverConfig) {
+  var hazardMask = lib.createHazardMask(analysis.plugin, analysis.hazard, analysis.config);
+  var categoryIds = Object.keys(masks);
+
+  categoryIds.forEach(function(categoryId) {
+    var category = coverConfig.categories[categoryId];
+    Map.addLayer(masks[categoryId].updateMask(hazardMask), {palette: [category.color]}, 'Exposed ' + category.label, false);
+  });
+
+  if (masks.cropland) {
+    Map.addLayer(
+      lib.createLLGRaster(llgStats, 'Livelihood_Exposure_Ratio'),
+      {min: 0, max: 1, palette: coverConfig.palettes.livelihood, opacity: 0.8},
+      'Livelihood Exposure Ratio (LLG Level)',
+      false
+    );
+  }
+
+  var legend = lib.createCategoricalLegendPanel('Exposed Land Cover', categoryIds.map(function(categoryId) {
+    return {color: coverConfig.categories[categoryId].color, label: coverConfig.categories[categoryId].label};
+  }));
+  legend.style().set('position', 'top-center');
+  Map.add(legend);
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the land-cover module on a hazard analysis: tables, map layers,
+ * exports
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} overrides - Land-cover configuration overrides
+ * @return {Object} Land-cover results: config, landCover, llgStats,
+ *                  provinceStats
+ */
+function runLandCoverAnalysis(analysis, overrides) {
+  var config = analysis.config;
+  var coverConfig = lib.mergeConfig(DEFAULTS, overrides);
+  var region = analysis.region.geometry();
+
+  var landCover = loadLandCover(coverConfig, region);
+  var masks = createCategoryMasks(landCover, coverConfig, region);
+  var llgStats = calculateLLGLandCover(analysis, masks, coverConfig);
+  var provinceStats = aggregateLandCoverToProvince(llgStats, masks, coverConfig, config);
+
+  displayLandCover(analysis, masks, llgStats, coverConfig);
+
+  lib.exportTable(llgStats, coverConfig.exportDescriptions.llg, config);
+  lib.exportTable(provinceStats, coverConfig.exportDescriptions.province, config);
+
+  print('Land cover: ' + landCover.label);
+  print('Provincial Land-Cover Exposure:', provinceStats);
+
+  return {
+    config: coverConfig,
+    landCover: landCover,
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+exports.LAND_COVER_PRODUCTS = LAND_COVER_PRODUCTS;
+
+exports.loadLandCover = loadLandCover;
+exports.loadTreeCrops = loadTreeCrops;
+exports.createCategoryMasks = createCategoryMasks;
+exports.buildLandCoverImage = buildLandCoverImage;
+exports.calculateLLGLandCover = calculateLLGLandCover;
+exports.aggregateLandCoverToProvince = aggregateLandCoverToProvince;
+exports.displayLandCover = displayLandCover;
+exports.runLandCoverAnalysis = runLandCoverAnalysis;
@@ -0,0 +1,412 @@
+/**
+ * ============================================================================
+ * COMPOSITE MULTI-HAZARD INDEX FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Run every registered hazard pipeline over the same LLG boundaries
+ *          and combine them into one table per LLG and province with
+ *          normalised sub-indices, a weighted composite score and ranks.
+ *
+ * Sub-indices:
+ *   Each hazard contributes the field named by its plugin's metrics.index
+ *   (LLG) and metrics.provinceIndex (province), e.g. Exposure_Ratio for flood
+ *   and coastal, Risk_Score / Province_Risk_Score for landslide.
+ *
+ * Key Metrics:
+ *   - <Hazard>_Index: Sub-index normalised to 0-1 across LLGs (or provinces)
+ *   - <Hazard>_Rank: Rank of the raw sub-index (1 = most exposed)
+ *   - Composite_Score: Weighted mean of normalised sub-indices (0-1)
+ *   - Composite_Rank: Rank of the composite score (1 = highest priority)
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// Register the hazard plugins
+require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/riverineFlood');
+require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/coastalInundation');
+require('users/penkamichel/png-multi-hazard-assessment:lib/hazards/landslide');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Hazards to combine (registered plugin ids)
+  hazards: ['riverine_flood', 'coastal_inundation', 'landslide'],
+
+  // Composite weights by hazard id (relative; divided by their sum)
+  weights: {
+    riverine_flood: 1,
+    coastal_inundation: 1,
+    landslide: 1
+  },
+
+  // Sub-index normalisation: 'minmax' ((v - min) / (max - min)) or
+  // 'max' (v / max)
+  normalization: 'minmax',
+
+  // Per-hazard configuration overrides keyed by hazard id
+  hazardSettings: {},
+
+  // Color palettes
+  palettes: {
+    composite: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#f03b20', '#bd0026']
+  },
+
+  // Legend and LLG choropleth
+  legend: {
+    title: 'Composite Multi-Hazard Score',
+    property: 'Composite_Score',
+    layerName: 'Composite Score (LLG Level)',
+    min: 0,
+    max: 1,
+    labels: ['0.00', '0.50', '1.00'],
+    rankProperty: 'Composite_Score',
+    rankTitle: 'Top 5 Provinces by Composite Score',
+    rankFormat: 'decimal'
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_MultiHazard_Composite',
+    province: 'PNG_Province_MultiHazard_Composite',
+    populationCheck: 'PNG_LLG_Composite_Population_Check'
+  },
+  consoleTitle: 'PNG MULTI-HAZARD COMPOSITE INDEX'
+};
+
+DEFAULTS.legend.palette = DEFAULTS.palettes.composite;
+
+// Settings shared by every hazard run so all pipelines use the same units
+var SHARED_SETTINGS = ['countryName', 'populationSource', 'populationYear',
+                       'populationSettings', 'provinceField', 'populationScale',
+                       'populationCheck', 'buildings', 'maxPixels', 'tileScale',
+                       'exportFolder'];
+
+// ============================================================================
+// HAZARD RUNS
+// ============================================================================
+
+/**
+ * Build the effective composite configuration
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Merged configuration
+ */
+function resolveConfig(overrides) {
+  return lib.mergeConfig(lib.DEFAULTS, DEFAULTS, overrides);
+}
+
+/**
+ * Run each configured hazard pipeline over the same LLG boundaries
+ * @param {Object} config - Composite configuration
+ * @return {Array<Object>} Analysis results, one per hazard (see lib.analyze)
+ */
+function analyzeHazards(config) {
+  var shared = {assetPaths: {llg_boundaries: config.assetPaths.llg_boundaries}};
+  SHARED_SETTINGS.forEach(function(key) {
+    shared[key] = config[key];
+  });
+
+  return config.hazards.map(function(id) {
+    var overrides = lib.mergeConfig(shared, config.hazardSettings[id]);
+    return lib.analyze(lib.getHazard(id), overrides);
+  });
+}
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Copy a property from one table to another by a shared key
+ * @param {ee.FeatureCollection} target - Table to extend
+ * @param {ee.FeatureCollection} source - Table holding the property
+ * @param {string} property - Source property name
+ * @param {string} targetProperty - Property name on the target
+ * @param {string} keyField - Join key present on both tables
+ * @return {ee.FeatureCollection} Extended table
+ */
+function attachProperty(target, source, property, targetProperty, keyField) {
+  var lookup = ee.Dictionary.fromLists(
+    source.aggregate_array(keyField).map(function(key) { return ee.String(key); }),
+    source.aggregate_array(property)
+  );
+
+  return target.map(function(feature) {
+    return feature.set(targetProperty, lookup.get(ee.String(feature.get(keyField)), 0));
+  });
+}
+
+/**
+ * Normalise a property to 0-1 across all features
+ * @param {ee.FeatureCollection} fc - Input table
+ * @param {string} property - Property to normalise
+ * @param {string} targetProperty - Output property name
+ * @param {string} method - 'minmax' or 'max'
+ * @return {ee.FeatureCollection} Table with normalised property
+ */
+function normalizeProperty(fc, property, targetProperty, method) {
+  var range = fc.reduceColumns(ee.Reducer.minMax(), [property]);
+  var min = method === 'max' ? ee.Number(0) : ee.Number(range.get('min'));
+  var max = ee.Number(range.get('max'));
+
+  return fc.map(function(feature) {
+    var value = ee.Number(feature.get(property));
+    return feature.set(targetProperty, lib.safeDivide(value.subtract(min), max.subtract(min)));
+  });
+}
+
+/**
+ * Look up composite weights for each analysed hazard
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Object} config - Composite configuration
+ * @return {Array<number>} Weights in the same order as analyses
+ */
+function getWeights(analyses, config) {
+  var weights = analyses.map(function(analysis) {
+    var weight = config.weights[analysis.plugin.id];
+    if (typeof weight !== 'number') {
+      throw new Error('No composite weight configured for hazard: ' + analysis.plugin.id);
+    }
+    return weight;
+  });
+
+  var total = weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+  if (total <= 0) {
+    throw new Error('Composite weights must sum to a positive number');
+  }
+  return weights;
+}
+
+/**
+ * Add sub-indices, weighted composite score and ranks to a base table
+ * @param {ee.FeatureCollection} base - One feature per LLG or province
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Object} config - Composite configuration
+ * @param {Object} level - Level settings: statsKey ('llgStats' or
+ *                         'provinceStats'), metricKey ('index' or
+ *                         'provinceIndex') and keyField
+ * @return {ee.FeatureCollection} Composite table
+ */
+function buildCompositeTable(base, analyses, config, level) {
+  var weights = getWeights(analyses, config);
+  var totalWeight = weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+  var table = base;
+
+  analyses.forEach(function(analysis) {
+    var prefix = analysis.plugin.fieldPrefix;
+    var metric = analysis.plugin.metrics[level.metricKey];
+    var rawField = prefix + '_' + metric;
+
+    table = attachProperty(table, analysis[level.statsKey], metric, rawField, level.keyField);
+    table = normalizeProperty(table, rawField, prefix + '_Index', config.normalization);
+    table = lib.addRank(table, rawField, prefix + '_Rank', level.keyField);
+  });
+
+  table = table.map(function(feature) {
+    var score = ee.Number(0);
+    analyses.forEach(function(analysis, i) {
+      var subIndex = ee.Number(feature.get(analysis.plugin.fieldPrefix + '_Index'));
+      score = score.add(subIndex.multiply(weights[i]));
+    });
+    return feature.set('Composite_Score', score.divide(totalWeight));
+  });
+
+  return lib.addRank(table, 'Composite_Score', 'Composite_Rank', level.keyField);
+}
+
+/**
+ * Build the LLG-level composite table
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Object} config - Composite configuration
+ * @return {ee.FeatureCollection} LLG composite table
+ */
+function calculateLLGComposite(analyses, config) {
+  // All hazard tables map the same boundaries, so system:index is shared
+  var base = attachProperty(
+    analyses[0].boundaries, analyses[0].llgStats,
+    'LLG_Population', 'LLG_Population', 'system:index'
+  );
+
+  return buildCompositeTable(base, analyses, config, {
+    statsKey: 'llgStats',
+    metricKey: 'index',
+    keyField: 'system:index'
+  });
+}
+
+/**
+ * Build the province-level composite table
+ * @param {Array<Object>} analyses - Hazard analysis results
+ * @param {Object} config - Composite configuration
+ * @return {ee.FeatureCollection} Provincial composite table
+ */
+function calculateProvinceComposite(analyses, config) {
+  var base = analyses[0].provinceStats.select(['Province', 'Total_Population']);
+
+  var table = buildCompositeTable(base, analyses, config, {
+    statsKey: 'provinceStats',
+    metricKey: 'provinceIndex',
+    keyField: 'Province'
+  });
+
+  return table.sort('Composite_Rank');
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run all hazard pipelines and build the composite tables
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Composite results: config, analyses, populationMismatches,
+ *                  region, boundaries, llgComposite, provinceComposite
+ */
+function analyze(overrides) {
+  var config = resolveConfig(overrides);
+  var analyses = analyzeHazards(config);
+
+  // Hazards run at different scales must still agree on LLG populations
+  var populationMismatches = lib.checkPopulationConsistency(analyses, config.populationCheck);
+
+  return {
+    config: config,
+    analyses: analyses,
+    populationMismatches: populationMismatches,
+    region: analyses[0].region,
+    boundaries: analyses[0].boundaries,
+    llgComposite: calculateLLGComposite(analyses, config),
+    provinceComposite: calculateProvinceComposite(analyses, config)
+  };
+}
+
+// ============================================================================
+// VISUALIZATION
+// ============================================================================
+
+/**
+ * Add composite legend with weights and top provinces
+ * @param {Object} results - Composite results (see analyze)
+ */
+function addCompositeLegend(results) {
+  var config = results.config;
+  var legend = lib.createLegendPanel(config.legend);
+
+  // Weights used
+  legend.add(ui.Label({
+    value: 'Weights:',
+    style: {fontSize: '12px', fontWeight: 'bold', margin: '10px 0 0 0'}
+  }));
+  results.analyses.forEach(function(analysis) {
+    legend.add(ui.Label(
+      analysis.plugin.name + ': ' + config.weights[analysis.plugin.id],
+      {fontSize: '12px'}
+    ));
+  });
+
+  // Top 5 provinces
+  lib.addProvinceRanking(legend, results.provinceComposite, config.legend);
+
+  Map.add(legend);
+}
+
+/**
+ * Add composite map layers and legend
+ * @param {Object} results - Composite results (see analyze)
+ */
+function displayResults(results) {
+  var config = results.config;
+  var legendConfig = config.legend;
+
+  // Initialize map
+  Map.centerObject(results.region);
+
+  // Add map layers
+  Map.addLayer(
+    results.boundaries.style({color: 'gray', width: 0.5, fillColor: '00000000'}),
+    {},
+    'LLG Boundaries'
+  );
+
+  results.analyses.forEach(function(analysis) {
+    Map.addLayer(
+      lib.createLLGRaster(results.llgComposite, analysis.plugin.fieldPrefix + '_Index'),
+      {min: 0, max: 1, palette: legendConfig.palette, opacity: 0.8},
+      analysis.plugin.name + ' Sub-Index (LLG Level)',
+      false
+    );
+  });
+
+  Map.addLayer(
+    lib.createLLGRaster(results.llgComposite, legendConfig.property),
+    {
+      min: legendConfig.min,
+      max: legendConfig.max,
+      palette: legendConfig.palette,
+      opacity: 0.8
+    },
+    legendConfig.layerName
+  );
+
+  // Add legend
+  addCompositeLegend(results);
+
+  // Apply dark theme (optional)
+  var style = require('users/gena/packages:style');
+  style.SetMapStyleDark();
+}
+
+/**
+ * Run composite analysis with map, exports and console output
+ * @param {Object} overrides - Script-level configuration
+ * @return {Object} Composite results (see analyze)
+ */
+function run(overrides) {
+  var results = analyze(overrides);
+  var config = results.config;
+
+  displayResults(results);
+
+  // Export results
+  lib.exportTable(results.llgComposite, config.exportDescriptions.llg, config);
+  lib.exportTable(results.provinceComposite, config.exportDescriptions.province, config);
+  lib.exportTable(results.populationMismatches, config.exportDescriptions.populationCheck, config);
+
+  // Console output
+  print('=== ' + config.consoleTitle + ' ===');
+  print('Hazards combined:', config.hazards);
+  print('Weights:', config.weights);
+  print('Normalization:', config.normalization);
+  print('Total LLGs analyzed:', results.llgComposite.size());
+  print('');
+  print('LLG Composite (top 10):', results.llgComposite.sort('Composite_Rank').limit(10));
+  print('');
+  print('Provincial Composite:', results.provinceComposite);
+  print('');
+  print('Analysis complete. Check Tasks tab for export status.');
+
+  return results;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.resolveConfig = resolveConfig;
+exports.analyzeHazards = analyzeHazards;
+
+exports.attachProperty = attachProperty;
+exports.normalizeProperty = normalizeProperty;
+exports.calculateLLGComposite = calculateLLGComposite;
+exports.calculateProvinceComposite = calculateProvinceComposite;
+
+exports.analyze = analyze;
+exports.addCompositeLegend = addCompositeLegend;
+exports.displayResults = displayResults;
+exports.run = run;
@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ * POPULATION SOURCE ENSEMBLE FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Re-run a hazard exposure analysis with several gridded population
+ *          products (HRSL, WorldPop, GHS-POP, LandScan, user assets) and
+ *          report how much Exposed_Population and the LLG and provincial
+ *          rankings depend on the population source.
+ *
+ * Key Metrics:
+ *   - <Source>_Exposed_Population / <Source>_LLG_Population per source
+ *   - Exposed_Population_Min / _Max / _Mean / _Range / _CV: spread across
+ *     sources (CV = standard deviation ÷ mean)
+ *   - <Source>_Rank, Rank_Min, Rank_Max, Rank_Range: rank of the hazard
+ *     index (LLG) or provincial index (province) under each source
+ *
+ * Methodology Note:
+ *   Every source runs through the full hazard pipeline (lib.analyze) with
+ *   only populationSource changed, so coarse sources are spread or summed
+ *   onto the analysis grid exactly as in a single-source run. Class hazards
+ *   count the population at or above exposureMinClass as exposed.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+var multiHazard = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_MultiHazard');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Population sources to compare (ids in lib.POPULATION_SOURCES)
+  sources: ['hrsl', 'worldpop', 'ghspop', 'landscan'],
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Population_Ensemble',
+    province: 'PNG_Province_Population_Ensemble'
+  }
+};
+
+// ============================================================================
+// PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Run the hazard pipeline once per population source
+ * Demographic groups are HRSL layers and building counts do not depend on
+ * the population source, so both are switched off. populationScale is
+ * reset so each source uses its own grid
+ *
+ * @param {Object} analysis - Baseline analysis results (see lib.analyze)
+ * @param {Array<string>} sourceIds - Population source ids
+ * @return {Array<Object>} Analysis results, one per source
+ */
+function analyzeSources(analysis, sourceIds) {
+  return sourceIds.map(function(sourceId) {
+    var overrides = lib.mergeConfig(analysis.config, {
+      populationSource: sourceId,
+      populationScale: null,
+      demographics: {enabled: false},
+      buildings: {enabled: false}
+    });
+    return lib.analyze(analysis.plugin, overrides);
+  });
+}
+
+/**
+ * Add Exposed_Population to class-hazard tables
+ * Class hazards count the population at or above exposureMinClass
+ *
+ * @param {ee.FeatureCollection} stats - LLG or provincial statistics
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Table with Exposed_Population
+ */
+function addExposedPopulation(stats, plugin, config) {
+  if (plugin.type === 'mask') {
+    return stats;
+  }
+  return stats.map(function(feature) {
+    var exposed = ee.Number(0);
+    config.classes.forEach(function(cls) {
+      if (cls.value >= config.exposureMinClass) {
+        exposed = exposed.add(feature.get(cls.prefix + '_Population'));
+      }
+    });
+    return feature.set('Exposed_Population', exposed);
+  });
+}
+
+/**
+ * Spread of a per-source property across sources
+ * @param {ee.Feature} feature - Row holding <Source>_<property>
+ * @param {Array<string>} prefixes - Source field prefixes
+ * @param {string} property - Property name
+ * @return {Object} Min, Max, Mean, Range and CV properties
+ */
+function spreadFields(feature, prefixes, property) {
+  var values = ee.List(prefixes.map(function(prefix) {
+    return feature.get(prefix + '_' + property);
+  }));
+  var minimum = ee.Number(values.reduce(ee.Reducer.min()));
+  var maximum = ee.Number(values.reduce(ee.Reducer.max()));
+  var mean = ee.Number(values.reduce(ee.Reducer.mean()));
+
+  var properties = {};
+  properties[property + '_Min'] = minimum;
+  properties[property + '_Max'] = maximum;
+  properties[property + '_Mean'] = mean;
+  properties[property + '_Range'] = maximum.subtract(minimum);
+  properties[property + '_CV'] = lib.safeDivide(values.reduce(ee.Reducer.stdDev()), mean);
+  return properties;
+}
+
+/**
+ * Rank each source's index column and add the rank spread
+ * @param {ee.FeatureCollection} table - Ensemble table
+ * @param {Array<string>} prefixes - Source field prefixes
+ * @param {string} metric - Index column ranked per source
+ * @param {string} keyField - Unique feature key
+ * @return {ee.FeatureCollection} Table with <Source>_Rank and Rank_* fields
+ */
+function addRankStability(table, prefixes, metric, keyField) {
+  prefixes.forEach(function(prefix) {
+    table = lib.addRank(table, prefix + '_' + metric, prefix + '_Rank', keyField);
+  });
+
+  return table.map(function(feature) {
+    var ranks = ee.List(prefixes.map(function(prefix) {
+      return feature.get(prefix + '_Rank');
+    }));
+    var rankMin = ee.Number(ranks.reduce(ee.Reducer.min()));
+    var rankMax = ee.Number(ranks.reduce(ee.Reducer.max()));
+    return feature.set({
+      'Rank_Min': rankMin,
+      'Rank_Max': rankMax,
+      'Rank_Range': rankMax.subtract(rankMin)
+    });
+  });
+}
+
+/**
+ * Build an ensemble table from per-source statistics
+ * @param {ee.FeatureCollection} base - One feature per LLG or province
+ * @param {Array<Object>} analyses - Analysis results, one per source
+ * @param {Array<string>} sourceIds - Population source ids
+ * @param {Object} level - Level settings: statsKey, populationField,
+ *                         metricKey and keyField
+ * @return {ee.FeatureCollection} Ensemble table
+ */
+function buildEnsembleTable(base, analyses, sourceIds, level) {
+  var plugin = analyses[0].plugin;
+  var metric = plugin.metrics[level.metricKey];
+  var prefixes = sourceIds.map(function(sourceId) {
+    return lib.getPopulationSource(sourceId).fieldPrefix;
+  });
+  var table = base;
+
+  analyses.forEach(function(analysis, i) {
+    var stats = addExposedPopulation(analysis[level.statsKey], plugin, analysis.config);
+    var prefix = prefixes[i] + '_';
+    [level.populationField, 'Exposed_Population', metric].forEach(function(field) {
+      table = multiHazard.attachProperty(table, stats, field, prefix + field, level.keyField);
+    });
+  });
+
+  table = table.map(function(feature) {
+    return feature.set(spreadFields(feature, prefixes, 'Exposed_Population'));
+  });
+
+  return addRankStability(table, prefixes, metric, level.keyField);
+}
+
+/**
+ * Build the LLG-level ensemble table
+ * @param {Array<Object>} analyses - Analysis results, one per source
+ * @param {Array<string>} sourceIds - Population source ids
+ * @return {ee.FeatureCollection} LLG ensemble table
+ */
+function calculateLLGEnsemble(analyses, sourceIds) {
+  // All source runs map the same boundaries, so system:index is shared
+  return buildEnsembleTable(analyses[0].boundaries, analyses, sourceIds, {
+    statsKey: 'llgStats',
+    populationField: 'LLG_Population',
+    metricKey: 'index',
+    keyField: 'system:index'
+  });
+}
+
+/**
+ * Build the province-level ensemble table
+ * @param {Array<Object>} analyses - Analysis results, one per source
+ * @param {Array<string>} sourceIds - Population source ids
+ * @return {ee.FeatureCollection} Provincial ensemble table
+ */
+function calculateProvinceEnsemble(analyses, sourceIds) {
+  var base = analyses[0].provinceStats.select(['Province']);
+
+  var table = buildEnsembleTable(base, analyses, sourceIds, {
+    statsKey: 'provinceStats',
+    populationField: 'Total_Population',
+    metricKey: 'provinceIndex',
+    keyField: 'Province'
+  });
+
+  return table.sort('Rank_Range', false);
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the population ensemble on a hazard analysis: tables and exports
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} overrides - Ensemble configuration overrides
+ * @return {Object} Ensemble results: config, analyses, llgStats,
+ *                  provinceStats
+ */
+function runPopulationEnsemble(analysis, overrides) {
+  var config = analysis.config;
+  var ensembleConfig = lib.mergeConfig(DEFAULTS, overrides);
+  var sourceIds = ensembleConfig.sources;
+
+  var analyses = analyzeSources(analysis, sourceIds);
+  var llgStats = calculateLLGEnsemble(analyses, sourceIds);
+  var provinceStats = calculateProvinceEnsemble(analyses, sourceIds);
+
+  lib.exportTable(llgStats, ensembleConfig.exportDescriptions.llg, config);
+  lib.exportTable(provinceStats, ensembleConfig.exportDescriptions.province, config);
+
+  print('Population ensemble:', sourceIds.map(function(sourceId) {
+    return lib.getPopulationSource(sourceId).label;
+  }));
+  print('Population ensemble (provinces by rank range):', provinceStats);
+
+  return {
+    config: ensembleConfig,
+    analyses: analyses,
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+
+exports.analyzeSources = analyzeSources;
+exports.addExposedPopulation = addExposedPopulation;
+exports.calculateLLGEnsemble = calculateLLGEnsemble;
+exports.calculateProvinceEnsemble = calculateProvinceEnsemble;
+exports.runPopulationEnsemble = runPopulationEnsemble;
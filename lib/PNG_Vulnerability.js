@@ -0,0 +1,347 @@
+/**
+ * ============================================================================
+ * SOCIAL VULNERABILITY AND RISK FOR PAPUA NEW GUINEA
+ * ============================================================================
+ *
+ * Purpose: Turn a hazard exposure analysis into a risk assessment. Joins
+ *          LLG-level socioeconomic indicators (poverty, literacy, health
+ *          access, housing materials) from a user table, builds a
+ *          normalised social vulnerability index and combines it with the
+ *          hazard's hazard and exposure components into a risk index and
+ *          rank per LLG and province.
+ *
+ * Data Sources:
+ *   - Indicators: user FeatureCollection keyed on the LLG code
+ *     (table.keyField), one column per indicator
+ *   - Hazard and exposure: any hazard analysis (see lib.analyze)
+ *
+ * Key Metrics:
+ *   - <Indicator>_Score: indicator normalised to 0-1 across LLGs, oriented
+ *     so that 1 = most vulnerable
+ *   - Risk_Vulnerability: social vulnerability index, the weighted mean of
+ *     indicator scores (0-1)
+ *   - Risk_Hazard: Hazard_Area_Share normalised to 0-1
+ *   - Risk_Exposure: the plugin's index (metrics.index /
+ *     metrics.provinceIndex) normalised to 0-1
+ *   - Risk_Index / Risk_Rank: hazard × exposure × vulnerability (named
+ *     apart from the landslide class score Risk_Score)
+ *   The Risk_ prefix keeps the three components and the index side by side
+ *   in the exported tables.
+ *
+ * Methodology Note:
+ *   LLGs missing from the indicator table, and blank cells, take the table
+ *   mean of the indicator and are flagged with <Indicator>_Data = 0
+ *   (Vulnerability_Data = 0 when any indicator is filled). Provincial
+ *   vulnerability is the population-weighted mean of its LLGs. Hazards
+ *   without an area metric use a hazard component of 1.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+var multiHazard = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_MultiHazard');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Indicator table (FeatureCollection keyed on the LLG code)
+  table: {
+    asset: null,
+    keyField: 'LLG_CODE'
+  },
+  llgField: null,               // LLG code property of the boundaries
+
+  // Indicators: `direction` 1 = higher value is more vulnerable, -1 = less
+  // vulnerable; weights are relative (divided by their sum)
+  indicators: {
+    poverty: {field: 'poverty_rate', prefix: 'Poverty', direction: 1, weight: 1},
+    literacy: {field: 'literacy_rate', prefix: 'Literacy', direction: -1, weight: 1},
+    healthAccess: {field: 'health_access', prefix: 'Health_Access', direction: -1, weight: 1},
+    housing: {field: 'traditional_housing', prefix: 'Housing', direction: 1, weight: 1}
+  },
+
+  // Indicator and component normalisation: 'minmax' or 'max'
+  normalization: 'minmax',
+
+  // Risk combination: 'product' (H × E × V) or 'geometric' ((H × E × V)^1/3)
+  riskMethod: 'product',
+
+  // Visualization parameters
+  palettes: {
+    vulnerability: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'],
+    risk: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026']
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Vulnerability_Risk',
+    province: 'PNG_Province_Vulnerability_Risk'
+  }
+};
+
+var RISK_METHODS = ['product', 'geometric'];
+
+// ============================================================================
+// VULNERABILITY INDEX
+// ============================================================================
+
+/**
+ * Validate indicator weights
+ * @param {Object} vulnConfig - Vulnerability configuration
+ * @return {number} Sum of the weights
+ */
+function getTotalWeight(vulnConfig) {
+  var total = Object.keys(vulnConfig.indicators).reduce(function(sum, id) {
+    var weight = vulnConfig.indicators[id].weight;
+    if (typeof weight !== 'number') {
+      throw new Error('No weight configured for vulnerability indicator: ' + id);
+    }
+    return sum + weight;
+  }, 0);
+
+  if (total <= 0) {
+    throw new Error('Vulnerability indicator weights must sum to a positive number');
+  }
+  return total;
+}
+
+/**
+ * Join indicator values onto the LLG table
+ * Rows are matched on the key value (LLG codes must have the same type in
+ * both tables). Missing LLGs and blank cells take the table mean of the
+ * indicator and are flagged per indicator.
+ *
+ * @param {ee.FeatureCollection} llgStats - LLG statistics
+ * @param {Object} vulnConfig - Vulnerability configuration
+ * @return {ee.FeatureCollection} LLG table with <Indicator>_Value,
+ *                                <Indicator>_Data and Vulnerability_Data
+ */
+function joinIndicators(llgStats, vulnConfig) {
+  var table = ee.FeatureCollection(vulnConfig.table.asset);
+  var join = ee.Join.saveFirst({matchKey: 'indicator_row', outer: true});
+  var joined = join.apply(llgStats, table, ee.Filter.equals({
+    leftField: vulnConfig.llgField,
+    rightField: vulnConfig.table.keyField
+  }));
+
+  var indicators = Object.keys(vulnConfig.indicators).map(function(id) {
+    var indicator = vulnConfig.indicators[id];
+    return {
+      field: indicator.field,
+      prefix: indicator.prefix,
+      mean: table.aggregate_mean(indicator.field)
+    };
+  });
+
+  return joined.map(function(feature) {
+    var row = feature.get('indicator_row');
+    var properties = {};
+    var complete = ee.Number(1);
+
+    indicators.forEach(function(indicator) {
+      var value = ee.Algorithms.If(row, ee.Feature(row).get(indicator.field), null);
+      var present = ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), 0, 1));
+      properties[indicator.prefix + '_Value'] = ee.Algorithms.If(present, value, indicator.mean);
+      properties[indicator.prefix + '_Data'] = present;
+      complete = complete.min(present);
+    });
+
+    // 1 only when every indicator comes from the table
+    properties['Vulnerability_Data'] = complete;
+    return feature.select(feature.propertyNames().remove('indicator_row')).set(properties);
+  });
+}
+
+/**
+ * Normalise each indicator and build the weighted vulnerability index
+ * @param {ee.FeatureCollection} table - LLG table with <Indicator>_Value
+ * @param {Object} vulnConfig - Vulnerability configuration
+ * @return {ee.FeatureCollection} Table with <Indicator>_Score and
+ *                                Risk_Vulnerability
+ */
+function addVulnerabilityIndex(table, vulnConfig) {
+  var totalWeight = getTotalWeight(vulnConfig);
+  var ids = Object.keys(vulnConfig.indicators);
+
+  ids.forEach(function(id) {
+    var prefix = vulnConfig.indicators[id].prefix;
+    table = multiHazard.normalizeProperty(table, prefix + '_Value', prefix + '_Score', vulnConfig.normalization);
+  });
+
+  return table.map(function(feature) {
+    var index = ee.Number(0);
+    var properties = {};
+    ids.forEach(function(id) {
+      var indicator = vulnConfig.indicators[id];
+      var score = ee.Number(feature.get(indicator.prefix + '_Score'));
+      if (indicator.direction < 0) {
+        score = ee.Number(1).subtract(score);
+      }
+      properties[indicator.prefix + '_Score'] = score;
+      index = index.add(score.multiply(indicator.weight));
+    });
+    properties['Risk_Vulnerability'] = index.divide(totalWeight);
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Population-weighted provincial vulnerability index
+ * @param {ee.FeatureCollection} llgTable - LLG table with
+ *                                          Risk_Vulnerability
+ * @param {Object} config - Hazard run configuration
+ * @return {ee.FeatureCollection} One feature per province
+ */
+function aggregateVulnerabilityToProvince(llgTable, config) {
+  var weighted = llgTable.map(function(feature) {
+    return feature.set('vulnerability_pop', ee.Number(feature.get('Risk_Vulnerability'))
+      .multiply(feature.get('LLG_Population')));
+  });
+  var sums = lib.sumByProvince(weighted, ['vulnerability_pop', 'LLG_Population'], config);
+
+  return sums.map(function(feature) {
+    return ee.Feature(null, {
+      'Province': feature.get('Province'),
+      'Risk_Vulnerability': lib.safeDivide(feature.get('vulnerability_pop'), feature.get('LLG_Population'))
+    });
+  });
+}
+
+// ============================================================================
+// RISK SCORE
+// ============================================================================
+
+/**
+ * Add hazard and exposure components, risk index and rank
+ * @param {ee.FeatureCollection} table - Table with Risk_Vulnerability
+ * @param {Object} plugin - Hazard plugin
+ * @param {Object} vulnConfig - Vulnerability configuration
+ * @param {Object} level - Level settings: metricKey ('index' or
+ *                         'provinceIndex') and keyField
+ * @return {ee.FeatureCollection} Table with the risk components
+ */
+function addRiskScore(table, plugin, vulnConfig, level) {
+  var method = vulnConfig.riskMethod;
+  if (RISK_METHODS.indexOf(method) === -1) {
+    throw new Error('Unknown risk method: ' + method);
+  }
+
+  if (plugin.metrics.area) {
+    table = multiHazard.normalizeProperty(table, 'Hazard_Area_Share', 'Risk_Hazard', vulnConfig.normalization);
+  } else {
+    table = table.map(function(feature) { return feature.set('Risk_Hazard', 1); });
+  }
+  table = multiHazard.normalizeProperty(table, plugin.metrics[level.metricKey], 'Risk_Exposure', vulnConfig.normalization);
+
+  table = table.map(function(feature) {
+    var product = ee.Number(feature.get('Risk_Hazard'))
+      .multiply(feature.get('Risk_Exposure'))
+      .multiply(feature.get('Risk_Vulnerability'));
+    return feature.set('Risk_Index', method === 'geometric' ? product.pow(1 / 3) : product);
+  });
+
+  return lib.addRank(table, 'Risk_Index', 'Risk_Rank', level.keyField);
+}
+
+/**
+ * Build the LLG-level vulnerability and risk table
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} vulnConfig - Vulnerability configuration
+ * @return {ee.FeatureCollection} LLG risk table
+ */
+function calculateLLGRisk(analysis, vulnConfig) {
+  var table = joinIndicators(analysis.llgStats, vulnConfig);
+  table = addVulnerabilityIndex(table, vulnConfig);
+
+  return addRiskScore(table, analysis.plugin, vulnConfig, {
+    metricKey: 'index',
+    keyField: 'system:index'
+  });
+}
+
+/**
+ * Build the province-level vulnerability and risk table
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {ee.FeatureCollection} llgRisk - LLG risk table
+ * @param {Object} vulnConfig - Vulnerability configuration
+ * @return {ee.FeatureCollection} Provincial risk table
+ */
+function calculateProvinceRisk(analysis, llgRisk, vulnConfig) {
+  var vulnerability = aggregateVulnerabilityToProvince(llgRisk, analysis.config);
+  var table = multiHazard.attachProperty(
+    analysis.provinceStats, vulnerability,
+    'Risk_Vulnerability', 'Risk_Vulnerability', 'Province'
+  );
+
+  table = addRiskScore(table, analysis.plugin, vulnConfig, {
+    metricKey: 'provinceIndex',
+    keyField: 'Province'
+  });
+  return table.sort('Risk_Rank');
+}
+
+// ============================================================================
+// ANALYSIS EXECUTION
+// ============================================================================
+
+/**
+ * Run the vulnerability module on a hazard analysis: tables, map layers,
+ * exports
+ * @param {Object} analysis - Hazard analysis results (see lib.analyze)
+ * @param {Object} overrides - Vulnerability configuration overrides
+ * @return {Object} Risk results: config, llgRisk, provinceRisk
+ */
+function runVulnerabilityAnalysis(analysis, overrides) {
+  var config = analysis.config;
+  var vulnConfig = lib.mergeConfig(DEFAULTS, overrides);
+  if (!vulnConfig.table.asset || !vulnConfig.llgField) {
+    throw new Error('Vulnerability analysis needs table.asset and llgField');
+  }
+
+  var llgRisk = calculateLLGRisk(analysis, vulnConfig);
+  var provinceRisk = calculateProvinceRisk(analysis, llgRisk, vulnConfig);
+
+  Map.addLayer(
+    lib.createLLGRaster(llgRisk, 'Risk_Vulnerability'),
+    {min: 0, max: 1, palette: vulnConfig.palettes.vulnerability, opacity: 0.8},
+    'Social Vulnerability Index (LLG Level)',
+    false
+  );
+  Map.addLayer(
+    lib.createLLGRaster(llgRisk, 'Risk_Index'),
+    {min: 0, max: vulnConfig.riskMethod === 'geometric' ? 1 : 0.5, palette: vulnConfig.palettes.risk, opacity: 0.8},
+    analysis.plugin.name + ' Risk Index (LLG Level)',
+    false
+  );
+
+  lib.exportTable(llgRisk, vulnConfig.exportDescriptions.llg, config);
+  lib.exportTable(provinceRisk, vulnConfig.exportDescriptions.province, config);
+
+  print('LLGs without vulnerability data:', llgRisk.filter(ee.Filter.eq('Vulnerability_Data', 0)).size());
+  print('Provincial Risk (hazard × exposure × vulnerability):',
+        provinceRisk.select(['Province', 'Risk_Hazard', 'Risk_Exposure', 'Risk_Vulnerability', 'Risk_Index', 'Risk_Rank']));
+
+  return {
+    config: vulnConfig,
+    llgRisk: llgRisk,
+    provinceRisk: provinceRisk
+  };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+exports.DEFAULTS = DEFAULTS;
+exports.RISK_METHODS = RISK_METHODS;
+
+exports.joinIndicators = joinIndicators;
+exports.addVulnerabilityIndex = addVulnerabilityIndex;
+exports.aggregateVulnerabilityToProvince = aggregateVulnerabilityToProvince;
+exports.addRiskScore = addRiskScore;
+exports.calculateLLGRisk = calculateLLGRisk;
+exports.calculateProvinceRisk = calculateProvinceRisk;
+exports.runVulnerabilityAnalysis = runVulnerabilityAnalysis;
@@ -0,0 +1,31 @@
+/**
+ * ============================================================================
+ * DEPTH-DAMAGE CURVE TABLES
+ * ============================================================================
+ *
+ * Purpose: Data tables for lib/PNG_FloodLoss.js. Each curve set maps flood
+ *          depth (m) to a damage fraction (0-1) of the exposed value for the
+ *          residential, commercial and agriculture categories. Damage between
+ *          depths is linearly interpolated and clamped at both ends.
+ *
+ * Adding a curve set:
+ *   Add an entry with the same shape (depths plus one fraction array per
+ *   category, all the same length) and select it with loss.curveSet, or pass
+ *   the table object directly as loss.curves.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+exports.CURVE_SETS = {
+  // Indicative curves shaped after the JRC global flood depth-damage
+  // functions (Huizinga et al., 2017). Replace with the published JRC
+  // Oceania tables or Pacific-specific curves before quoting loss figures.
+  INDICATIVE_GLOBAL: {
+    source: 'Indicative curves after JRC global depth-damage functions (Huizinga et al., 2017)',
+    depths:      [0, 0.5,  1,    1.5,  2,    3,    4,    5,    6],
+    residential: [0, 0.25, 0.40, 0.50, 0.60, 0.75, 0.85, 0.95, 1.00],
+    commercial:  [0, 0.15, 0.30, 0.45, 0.55, 0.75, 0.90, 1.00, 1.00],
+    agriculture: [0, 0.30, 0.55, 0.65, 0.75, 0.85, 0.95, 1.00, 1.00]
+  }
+};
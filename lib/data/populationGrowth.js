@@ -0,0 +1,49 @@
+/**
+ * ============================================================================
+ * POPULATION GROWTH TABLES
+ * ============================================================================
+ *
+ * Purpose: National population pathways used by the population projection
+ *          step of lib/PNG_HazardExposure.js (populationProjection.growth =
+ *          'ssp'). The annual growth rate between the baseline year and the
+ *          target year is derived from the pathway by log-linear
+ *          interpolation between the listed years.
+ *
+ * Adding a pathway:
+ *   Add an entry with the same shape (years ascending, population in
+ *   millions for each year) and select it with populationProjection.ssp.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+exports.SSP_NATIONAL = {
+  // Indicative PNG totals shaped after the IIASA SSP population projections
+  // (KC & Lutz, 2017). Replace with the current SSP database release before
+  // quoting projected exposure.
+  SSP1: {
+    label: 'SSP1 (sustainability)',
+    years:      [2020, 2030, 2050, 2080, 2100],
+    population: [8.8,  10.1, 11.9, 12.5, 11.9]
+  },
+  SSP2: {
+    label: 'SSP2 (middle of the road)',
+    years:      [2020, 2030, 2050, 2080, 2100],
+    population: [8.9,  10.5, 13.4, 16.3, 17.1]
+  },
+  SSP3: {
+    label: 'SSP3 (regional rivalry)',
+    years:      [2020, 2030, 2050, 2080, 2100],
+    population: [9.0,  10.9, 15.2, 21.0, 24.5]
+  },
+  SSP4: {
+    label: 'SSP4 (inequality)',
+    years:      [2020, 2030, 2050, 2080, 2100],
+    population: [9.0,  10.8, 14.6, 19.2, 21.4]
+  },
+  SSP5: {
+    label: 'SSP5 (fossil-fuelled development)',
+    years:      [2020, 2030, 2050, 2080, 2100],
+    population: [8.8,  10.1, 11.9, 12.4, 11.7]
+  }
+};
@@ -0,0 +1,1020 @@
+/**
+ * ============================================================================
+ * COASTAL INUNDATION HAZARD PLUGIN
+ * ============================================================================
+ *
+ * Purpose: Supplies the coastal inundation mask and coastal metric names to
+ *          the shared hazard exposure library (lib/PNG_HazardExposure.js).
+ *
+ * Data Sources:
+ *   - DEM registry: SRTM (default), NASADEM, Copernicus GLO-30, FABDEM,
+ *     CoastalDEM or a user asset, with optional bias correction
+ *   - Sea-level rise projections and extreme sea levels from configuration
+ *
+ * Methodology Note:
+ *   Without a coastal scenario, a simplified elevation threshold (≤10m, the
+ *   low-elevation coastal zone) is used as a proxy for inundation risk.
+ *   A coastal scenario instead floods land at or below a water level:
+ *     mean high water + SLR (pathway, year) + extreme sea level (return period)
+ *   With connectivity enabled, only low-lying pixels reachable from the sea
+ *   through other low-lying pixels are kept, so inland basins below the
+ *   water level are not counted as coastal.
+ *   The optional uncertainty mode perturbs the DEM with spatially correlated
+ *   vertical error over N realisations and reports the mean, 5th and 95th
+ *   percentile of exposed population.
+ *   Coastal protection infrastructure is not modelled.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Analysis parameters
+  elevationThreshold: 10,   // Meters above sea level (LECZ definition)
+  scale: 30,                // Spatial resolution in meters
+
+  // Coastal scenario for the main map and tables: null uses the static LECZ
+  // threshold, otherwise {slr, year, returnPeriod} (returnPeriod null = no surge)
+  coastalScenario: null,
+
+  // Elevation source for the main run (see DEMS): 'srtm', 'nasadem',
+  // 'copernicus', 'fabdem', 'coastaldem' or 'custom'
+  dem: 'srtm',
+
+  // Per-DEM settings, keyed by DEM id:
+  //   asset          - Image path (required for coastaldem and custom)
+  //   band           - Band to read (defaults to the registry band)
+  //   verticalOffset - Meters added to every pixel (e.g. geoid to local MSL)
+  //   biasAsset      - Image of per-pixel bias (DEM minus true ground)
+  //                    subtracted from the DEM (e.g. canopy correction)
+  //   datum          - Vertical datum label (defaults to the registry datum)
+  demSettings: {
+    coastaldem: {asset: null},
+    custom: {asset: null}
+  },
+
+  // Side-by-side exposure per DEM (one column group per DEM)
+  demComparison: {
+    enabled: false,
+    dems: ['srtm', 'nasadem', 'copernicus', 'fabdem']
+  },
+
+  // Water level components in meters above the DEM vertical datum.
+  // Indicative values; replace with tide-gauge and regional projections
+  waterLevel: {
+    meanHighWater: 0.5,
+    // Global median SLR (m) relative to 1995-2014, IPCC AR6
+    slrProjections: {
+      present: {label: 'Present day', levels: {2020: 0}},
+      ssp126: {label: 'SSP1-2.6', levels: {2050: 0.18, 2100: 0.44}},
+      ssp245: {label: 'SSP2-4.5', levels: {2050: 0.20, 2100: 0.56}},
+      ssp585: {label: 'SSP5-8.5', levels: {2050: 0.23, 2100: 0.77}}
+    },
+    // Extreme sea level (storm surge + tide) above mean high water, by
+    // return period in years
+    extremeSeaLevels: {1: 0.3, 10: 0.6, 50: 0.8, 100: 0.9}
+  },
+
+  // Hydrological connectivity: keep only low-lying land connected to the sea.
+  // Distances are measured from the sea along low-lying land; the trace
+  // stops at maxDistanceFromCoast, or at searchDistance when that is null
+  connectivity: {
+    enabled: false,
+    searchDistance: 100000,       // Meters
+    maxDistanceFromCoast: null    // Meters, optional
+  },
+
+  // Monte Carlo DEM vertical-error uncertainty. Each realisation adds a
+  // Gaussian-smoothed random field (standard deviation sigma, correlation
+  // length in meters) to the elevation before masking
+  uncertainty: {
+    enabled: false,
+    realisations: 20,
+    sigma: 9.7,                 // Meters; SRTM absolute error 16m LE90 / 1.645
+    correlationLength: 1000,    // Meters; 0 gives uncorrelated noise
+    noiseScale: 90,             // Meters; grid of the random field
+    seed: 42
+  },
+
+  // Scenarios reported in the long-format scenario table
+  runScenarioSweep: false,
+  coastalScenarios: [
+    {slr: 'present', year: 2020, returnPeriod: 100},
+    {slr: 'ssp245', year: 2050, returnPeriod: null},
+    {slr: 'ssp245', year: 2050, returnPeriod: 100},
+    {slr: 'ssp585', year: 2050, returnPeriod: 100},
+    {slr: 'ssp245', year: 2100, returnPeriod: 100},
+    {slr: 'ssp585', year: 2100, returnPeriod: null},
+    {slr: 'ssp585', year: 2100, returnPeriod: 100}
+  ],
+
+  // Color palettes
+  palettes: {
+    coastalZone: ['navy'],
+    removedZone: ['#ff7f00'],
+    exposedPop: ['yellow'],
+    riskGradient: ['#f2e6ff', '#d9b3ff', '#b366ff', '#8000ff', '#4d0099']
+  },
+
+  // Legend and LLG choropleth
+  legend: {
+    title: 'Coastal Inundation Exposure Ratio',
+    property: 'Exposure_Ratio',
+    layerName: 'Exposure Ratio (LLG Level)',
+    min: 0,
+    max: 1,
+    labels: ['0.00', '0.50', '1.00'],
+    rankProperty: 'Exposure_Ratio',
+    rankTitle: 'Top 5 Provinces by Exposure Ratio',
+    rankFormat: 'percent',
+    extraTotals: [
+      {property: 'Exposed_Population_Mean', label: 'Exposed Population, Monte Carlo mean'},
+      {property: 'Exposed_Population_P5', label: 'Exposed Population, 5th percentile'},
+      {property: 'Exposed_Population_P95', label: 'Exposed Population, 95th percentile'}
+    ]
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Coastal_Exposure_Analysis',
+    province: 'PNG_Province_Coastal_Exposure_Summary',
+    scenarioLLG: 'PNG_LLG_Coastal_Scenario_Analysis',
+    scenarioProvince: 'PNG_Province_Coastal_Scenario_Summary',
+    demLLG: 'PNG_LLG_Coastal_DEM_Comparison',
+    demProvince: 'PNG_Province_Coastal_DEM_Comparison'
+  },
+  consoleTitle: 'PNG COASTAL EXPOSURE ANALYSIS'
+};
+
+DEFAULTS.legend.palette = DEFAULTS.palettes.riskGradient;
+
+// Elevation sources. Collections are mosaicked; entries without a public
+// asset need demSettings.<id>.asset. The datum is reported, not converted:
+// EGM96 and EGM2008 heights differ by up to ~1 m, so align DEMs with
+// demSettings.<id>.verticalOffset or biasAsset before comparing them
+var DEMS = {
+  srtm: {label: 'SRTM GL1', fieldPrefix: 'SRTM', image: 'USGS/SRTMGL1_003', band: 'elevation', datum: 'EGM96'},
+  nasadem: {label: 'NASADEM', fieldPrefix: 'NASADEM', image: 'NASA/NASADEM_HGT/001', band: 'elevation', datum: 'EGM96'},
+  copernicus: {label: 'Copernicus GLO-30', fieldPrefix: 'COP30', collection: 'COPERNICUS/DEM/GLO30', band: 'DEM', datum: 'EGM2008'},
+  fabdem: {label: 'FABDEM', fieldPrefix: 'FABDEM', collection: 'projects/sat-io/open-datasets/FABDEM', band: 'b1', datum: 'EGM2008'},
+  coastaldem: {label: 'CoastalDEM', fieldPrefix: 'CoastalDEM', band: 0, datum: 'EGM96'},
+  custom: {label: 'User DEM', fieldPrefix: 'Custom_DEM', band: 0, datum: null}
+};
+
+// ============================================================================
+// HAZARD FUNCTIONS
+// ============================================================================
+
+/**
+ * Apply the optional vertical offset and per-pixel bias correction
+ * @param {ee.Image} elevation - Elevation in meters
+ * @param {Object} settings - DEM settings (verticalOffset, biasAsset)
+ * @return {ee.Image} Corrected elevation in meters
+ */
+function correctElevation(elevation, settings) {
+  var corrected = elevation;
+  if (settings.biasAsset) {
+    corrected = corrected.subtract(ee.Image(settings.biasAsset).select(0));
+  }
+  if (settings.verticalOffset) {
+    corrected = corrected.add(settings.verticalOffset);
+  }
+  return corrected.rename('elevation');
+}
+
+/**
+ * Vertical datum of a DEM, as configured or registered
+ * @param {string} demId - DEM id (see DEMS)
+ * @param {Object} config - Run configuration
+ * @return {string} Datum label ('Unspecified' when unknown)
+ */
+function getDemDatum(demId, config) {
+  var settings = config.demSettings[demId] || {};
+  return settings.datum || DEMS[demId].datum || 'Unspecified';
+}
+
+/**
+ * Load one registered DEM with its configured corrections
+ * @param {string} demId - DEM id (see DEMS)
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {ee.Image} Elevation in meters
+ */
+function loadDem(demId, region, config) {
+  var source = DEMS[demId];
+  if (!source) {
+    throw new Error('Unknown DEM: ' + demId);
+  }
+  var settings = config.demSettings[demId] || {};
+  var assetId = settings.asset || source.image || source.collection;
+  if (!assetId) {
+    throw new Error('DEM ' + demId + ' needs demSettings.' + demId + '.asset');
+  }
+  var band = settings.band !== undefined && settings.band !== null ? settings.band : source.band;
+
+  var elevation;
+  if (source.collection && !settings.asset) {
+    var tiles = ee.ImageCollection(source.collection).filterBounds(region).select(band);
+    elevation = tiles.mosaic().setDefaultProjection(tiles.first().projection());
+  } else {
+    elevation = ee.Image(assetId).select(band);
+  }
+
+  return correctElevation(elevation, settings).clip(region);
+}
+
+/**
+ * Load the elevation image of the configured DEM
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Optional run configuration (default SRTM)
+ * @return {ee.Image} Elevation in meters
+ */
+function loadElevation(region, config) {
+  var settings = config || DEFAULTS;
+  return loadDem(settings.dem, region, settings);
+}
+
+/**
+ * Mask land at or below a water level
+ * @param {ee.Image} elevation - Elevation in meters
+ * @param {number} waterLevel - Water level in meters
+ * @return {ee.Image} Binary inundation mask
+ */
+function createInundationMask(elevation, waterLevel) {
+  return elevation.lte(waterLevel).selfMask();
+}
+
+/**
+ * Load elevation data and create low-elevation coastal zone (LECZ)
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {number} threshold - Elevation threshold in meters
+ * @param {Object} config - Optional run configuration selecting the DEM
+ * @return {ee.Image} Binary mask of areas below threshold
+ */
+function loadElevationData(region, threshold, config) {
+  return createInundationMask(loadElevation(region, config), threshold);
+}
+
+/**
+ * Load an open-sea mask: pixels outside every LSIB country polygon
+ * @return {ee.Image} Binary sea mask (1 = sea, 0 = land)
+ */
+function loadSeaMask() {
+  var countries = ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017');
+  return ee.Image(0).paint(countries, 1).not().rename('sea');
+}
+
+/**
+ * Keep only inundated pixels hydraulically connected to the sea
+ * Traces a cumulative-cost distance from the sea that can only travel
+ * through inundated pixels; unreached pixels are dropped
+ *
+ * @param {ee.Image} inundation - Binary inundation mask (bathtub)
+ * @param {Object} settings - Connectivity settings (searchDistance,
+ *                            maxDistanceFromCoast)
+ * @return {ee.Image} Binary mask of connected inundated pixels
+ */
+function applyConnectivity(inundation, settings) {
+  var sea = loadSeaMask();
+  var passable = inundation.unmask(0).or(sea);
+  var cost = ee.Image(1).updateMask(passable);
+
+  var distance = cost.cumulativeCost({
+    source: sea.selfMask(),
+    maxDistance: settings.maxDistanceFromCoast || settings.searchDistance,
+    geodeticDistance: true
+  });
+
+  return inundation.updateMask(distance.mask());
+}
+
+/**
+ * Create the coastal inundation mask for a water level, applying the
+ * connectivity filter when enabled
+ * @param {ee.Image} elevation - Elevation in meters
+ * @param {number} waterLevel - Water level in meters
+ * @param {Object} config - Run configuration
+ * @return {Object} {zone: final mask, removed: pixels dropped by the
+ *                  connectivity filter or null}
+ */
+function createCoastalZone(elevation, waterLevel, config) {
+  var bathtub = createInundationMask(elevation, waterLevel);
+  if (!config.connectivity.enabled) {
+    return {zone: bathtub, removed: null};
+  }
+
+  var connected = applyConnectivity(bathtub, config.connectivity);
+  return {
+    zone: connected,
+    removed: bathtub.unmask(0).and(connected.unmask(0).not()).selfMask()
+  };
+}
+
+/**
+ * Create a spatially correlated vertical error field
+ * White noise on a noiseScale grid is smoothed with a Gaussian kernel and
+ * rescaled to unit variance (smoothing divides the variance by 4πs², s =
+ * kernel sigma in grid cells), then multiplied by the error sigma
+ *
+ * @param {number} seed - Random seed of the realisation
+ * @param {Object} settings - Uncertainty settings (sigma, correlationLength,
+ *                            noiseScale)
+ * @return {ee.Image} Elevation error in meters
+ */
+function createElevationNoise(seed, settings) {
+  var projection = ee.Projection('EPSG:4326').atScale(settings.noiseScale);
+  var noise = ee.Image.random(seed, 'normal').reproject(projection);
+
+  if (settings.correlationLength) {
+    var sigmaCells = settings.correlationLength / settings.noiseScale;
+    var kernel = ee.Kernel.gaussian({
+      radius: 3 * settings.correlationLength,
+      sigma: settings.correlationLength,
+      units: 'meters'
+    });
+    noise = noise.convolve(kernel)
+      .multiply(2 * Math.sqrt(Math.PI) * sigmaCells)
+      .reproject(projection);
+  }
+
+  return noise.multiply(settings.sigma).rename('elevation_error');
+}
+
+/**
+ * Coastal masks for every Monte Carlo realisation
+ * @param {ee.Image} elevation - Elevation in meters
+ * @param {number} waterLevel - Water level in meters
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} One binary mask per realisation
+ */
+function createRealisationMasks(elevation, waterLevel, config) {
+  var settings = config.uncertainty;
+  var masks = [];
+
+  for (var i = 0; i < settings.realisations; i++) {
+    var perturbed = elevation.add(createElevationNoise(settings.seed + i, settings));
+    masks.push(createCoastalZone(perturbed, waterLevel, config).zone);
+  }
+  return masks;
+}
+
+/**
+ * Validate a coastal scenario and compute its water level
+ * @param {Object} scenario - {slr, year, returnPeriod}; returnPeriod null
+ *                            means mean high water plus SLR only
+ * @param {Object} config - Run configuration
+ * @return {Object} Scenario descriptor: key, slr, label, year, returnPeriod,
+ *                  waterLevel
+ */
+function describeCoastalScenario(scenario, config) {
+  var settings = config.waterLevel;
+  var projection = settings.slrProjections[scenario.slr];
+  if (!projection) {
+    throw new Error('Unknown sea-level rise pathway: ' + scenario.slr);
+  }
+  var slr = projection.levels[scenario.year];
+  if (slr === undefined) {
+    throw new Error('Sea-level rise pathway ' + scenario.slr + ' has no year ' + scenario.year);
+  }
+
+  var returnPeriod = scenario.returnPeriod || null;
+  var surge = 0;
+  if (returnPeriod !== null) {
+    surge = settings.extremeSeaLevels[returnPeriod];
+    if (surge === undefined) {
+      throw new Error('No extreme sea level for return period: ' + returnPeriod);
+    }
+  }
+
+  return {
+    key: scenario.slr + '_' + scenario.year + (returnPeriod ? '_rp' + returnPeriod : '_mhw'),
+    slr: scenario.slr,
+    label: projection.label + ', ' + scenario.year +
+           (returnPeriod ? ', ' + returnPeriod + '-year extreme sea level' : ', mean high water'),
+    year: scenario.year,
+    returnPeriod: returnPeriod,
+    waterLevel: settings.meanHighWater + slr + surge
+  };
+}
+
+/**
+ * Water level of the main run: the selected coastal scenario, or the LECZ
+ * threshold when none is set
+ * @param {Object} config - Run configuration
+ * @return {Object} {waterLevel, layerName}
+ */
+function resolveWaterLevel(config) {
+  if (config.coastalScenario) {
+    var descriptor = describeCoastalScenario(config.coastalScenario, config);
+    return {
+      waterLevel: descriptor.waterLevel,
+      layerName: 'Coastal Inundation (' + descriptor.label + ')'
+    };
+  }
+  return {
+    waterLevel: config.elevationThreshold,
+    layerName: 'Low-Elevation Coastal Zone (≤' + config.elevationThreshold + 'm)'
+  };
+}
+
+/**
+ * Build the coastal inundation mask and its map layers
+ * Uses the selected coastal scenario, or the LECZ threshold when none is set
+ *
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {Object} Hazard image and map layers
+ */
+function buildHazard(region, config) {
+  var elevation = loadElevation(region, config);
+  var water = resolveWaterLevel(config);
+
+  var coastal = createCoastalZone(elevation, water.waterLevel, config);
+  var layers = [{
+    image: coastal.zone,
+    vis: {palette: config.palettes.coastalZone, min: 0, max: 1},
+    name: water.layerName
+  }];
+
+  if (coastal.removed) {
+    layers.push({
+      image: coastal.removed,
+      vis: {palette: config.palettes.removedZone, min: 0, max: 1},
+      name: 'Removed by Connectivity Filter',
+      shown: false,
+      legend: {
+        title: 'Coastal Connectivity',
+        items: [
+          {color: config.palettes.coastalZone[0], label: 'Connected to the sea (kept)'},
+          {color: config.palettes.removedZone[0], label: 'Below water level, not connected (removed)'}
+        ]
+      }
+    });
+  }
+
+  return {
+    image: coastal.zone,
+    removedZone: coastal.removed,
+    elevation: elevation,
+    waterLevel: water.waterLevel,
+    layers: layers
+  };
+}
+
+/**
+ * Extra console lines describing the coastal run
+ * @param {Object} config - Run configuration
+ * @return {Array<string>} Console lines
+ */
+function summaryLines(config) {
+  var lines;
+  if (config.coastalScenario) {
+    var descriptor = describeCoastalScenario(config.coastalScenario, config);
+    lines = ['Scenario: ' + descriptor.label,
+             'Water level: ≤' + descriptor.waterLevel.toFixed(2) + 'm'];
+  } else {
+    lines = ['Elevation threshold: ≤' + config.elevationThreshold + 'm'];
+  }
+
+  lines.push('Elevation source: ' + DEMS[config.dem].label);
+
+  if (config.connectivity.enabled) {
+    var limit = config.connectivity.maxDistanceFromCoast;
+    lines.push('Connectivity filter: on' + (limit ? ' (≤' + limit / 1000 + 'km from the sea)' : ''));
+  }
+  if (config.uncertainty.enabled) {
+    lines.push('Uncertainty: ' + config.uncertainty.realisations + ' DEM realisations, σ = ' +
+               config.uncertainty.sigma + 'm, correlation length ' + config.uncertainty.correlationLength + 'm');
+  }
+  return lines;
+}
+
+/**
+ * Hazard time horizon used as the population projection target year
+ * @param {Object} config - Run configuration
+ * @return {number} Scenario year (null for the static LECZ threshold)
+ */
+function hazardYear(config) {
+  return config.coastalScenario ? config.coastalScenario.year : null;
+}
+
+/**
+ * Configuration of the present-day coastal zone for the projection
+ * decomposition: present sea level with the same extreme sea level
+ *
+ * @param {Object} config - Run configuration
+ * @return {Object} Baseline configuration (null without a coastal scenario)
+ */
+function baselineConfig(config) {
+  if (!config.coastalScenario) {
+    return null;
+  }
+  var present = config.waterLevel.slrProjections.present;
+  return lib.mergeConfig(config, {
+    coastalScenario: {slr: 'present', year: Number(Object.keys(present.levels)[0])}
+  });
+}
+
+// ============================================================================
+// STATISTICS HOOKS
+// ============================================================================
+
+/**
+ * Bands for pixels removed by the connectivity filter
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Statistic bands
+ */
+function connectivityBands(population, hazardData, config) {
+  if (!config.connectivity.enabled || !hazardData.removedZone) {
+    return [];
+  }
+  return [
+    population.updateMask(hazardData.removedZone).rename('removed_pop'),
+    lib.createAreaImage(hazardData.removedZone).rename('removed_area')
+  ];
+}
+
+/**
+ * Population and area removed by the connectivity filter for one LLG
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function connectivityLLGMetrics(stats, config) {
+  if (!config.connectivity.enabled) {
+    return {};
+  }
+  return {
+    'Disconnected_Population': lib.getNumber(stats, 'removed_pop').round(),
+    'Disconnected_Area_km2': lib.getNumber(stats, 'removed_area')
+  };
+}
+
+/**
+ * Sum connectivity fields over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {Object} config - Run configuration
+ * @return {Object} Summed properties
+ */
+function sumConnectivityFields(llgRows, config) {
+  if (!config.connectivity.enabled) {
+    return {};
+  }
+  return {
+    'Disconnected_Population': llgRows.aggregate_sum('Disconnected_Population'),
+    'Disconnected_Area_km2': llgRows.aggregate_sum('Disconnected_Area_km2')
+  };
+}
+
+/**
+ * Exposed-population bands, one per Monte Carlo realisation
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Statistic bands
+ */
+function uncertaintyBands(population, hazardData, config) {
+  if (!config.uncertainty.enabled || !hazardData.elevation) {
+    return [];
+  }
+  return createRealisationMasks(hazardData.elevation, hazardData.waterLevel, config)
+    .map(function(mask, i) {
+      return population.updateMask(mask).rename('mc_pop_' + i);
+    });
+}
+
+/**
+ * Names of the per-realisation exposed population columns
+ * @param {Object} config - Run configuration
+ * @return {Array<string>} Column names (Exposed_Pop_MC1 ... MC<N>)
+ */
+function listRealisationFields(config) {
+  var fields = [];
+  for (var i = 1; i <= config.uncertainty.realisations; i++) {
+    fields.push('Exposed_Pop_MC' + i);
+  }
+  return fields;
+}
+
+/**
+ * Mean, 5th and 95th percentile of exposed population across realisations
+ * @param {Array<ee.Number>} values - Exposed population per realisation
+ * @return {Object} Feature properties
+ */
+function summariseRealisations(values) {
+  var stats = ee.Dictionary(ee.List(values).reduce(
+    ee.Reducer.mean().combine(ee.Reducer.percentile([5, 95]), null, true)
+  ));
+
+  return {
+    'Exposed_Population_Mean': ee.Number(stats.get('mean')).round(),
+    'Exposed_Population_P5': ee.Number(stats.get('p5')).round(),
+    'Exposed_Population_P95': ee.Number(stats.get('p95')).round()
+  };
+}
+
+/**
+ * Per-realisation exposure and its summary for one LLG
+ * Realisation columns are kept so provinces and the nation can take
+ * percentiles of summed realisations (percentiles do not add up)
+ *
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function uncertaintyLLGMetrics(stats, config) {
+  if (!config.uncertainty.enabled) {
+    return {};
+  }
+  var values = [];
+  var properties = {};
+
+  listRealisationFields(config).forEach(function(field, i) {
+    var value = lib.getNumber(stats, 'mc_pop_' + i).round();
+    properties[field] = value;
+    values.push(value);
+  });
+
+  return lib.mergeConfig(properties, summariseRealisations(values));
+}
+
+/**
+ * Uncertainty summary over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {Object} config - Run configuration
+ * @return {Object} Summary properties
+ */
+function sumUncertaintyFields(llgRows, config) {
+  if (!config.uncertainty.enabled) {
+    return {};
+  }
+  return summariseRealisations(listRealisationFields(config).map(function(field) {
+    return llgRows.aggregate_sum(field);
+  }));
+}
+
+/**
+ * Extra bands summed per LLG: connectivity and uncertainty
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Extra statistic bands
+ */
+function statisticBands(population, hazardData, config) {
+  return connectivityBands(population, hazardData, config)
+    .concat(uncertaintyBands(population, hazardData, config));
+}
+
+/**
+ * Extra LLG properties: connectivity and uncertainty
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function llgMetrics(stats, totalPop, config) {
+  return lib.mergeConfig(
+    connectivityLLGMetrics(stats, config),
+    uncertaintyLLGMetrics(stats, config)
+  );
+}
+
+/**
+ * Extra provincial properties: connectivity and uncertainty
+ * @param {ee.FeatureCollection} filtered - LLG rows of one province
+ * @param {ee.Number} totalPop - Total provincial population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function provinceMetrics(filtered, totalPop, config) {
+  return lib.mergeConfig(
+    sumConnectivityFields(filtered, config),
+    sumUncertaintyFields(filtered, config)
+  );
+}
+
+/**
+ * Extra national totals: connectivity and uncertainty
+ * @param {Object} analysis - Analysis results (see lib.analyze)
+ * @return {Object} National totals
+ */
+function nationalMetrics(analysis) {
+  return lib.mergeConfig(
+    sumConnectivityFields(analysis.llgStats, analysis.config),
+    sumUncertaintyFields(analysis.llgStats, analysis.config)
+  );
+}
+
+// ============================================================================
+// SCENARIO TABLE
+// ============================================================================
+
+/**
+ * Calculate exposure for several coastal scenarios in long format
+ * Every scenario is reduced in one pass per LLG; each LLG yields one row
+ * per scenario
+ *
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {ee.Image} population - Population image
+ * @param {Array<Object>} descriptors - Scenario descriptors
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Long-format LLG statistics
+ */
+function calculateScenarioStatistics(boundaries, population, descriptors, region, config) {
+  var plugin = lib.getHazard('coastal_inundation');
+  var elevation = loadElevation(region, config);
+  var pop = population.select([0], ['total_pop']);
+  var bands = [pop, lib.createAreaImage().rename('land_area')];
+
+  descriptors.forEach(function(descriptor, i) {
+    var coastalMask = createCoastalZone(elevation, descriptor.waterLevel, config).zone;
+    bands.push(pop.updateMask(coastalMask).rename('exposed_pop_' + i));
+    bands.push(lib.createAreaImage(coastalMask).rename('hazard_area_' + i));
+  });
+  var multiband = ee.Image(bands);
+
+  return boundaries.map(function(feature) {
+    var stats = lib.reduceSum(multiband, feature.geometry(), config);
+    var totalPop = lib.getNumber(stats, 'total_pop').round();
+
+    var rows = descriptors.map(function(descriptor, i) {
+      var scenarioStats = ee.Dictionary({
+        'exposed_pop': lib.getNumber(stats, 'exposed_pop_' + i),
+        'hazard_area': lib.getNumber(stats, 'hazard_area_' + i),
+        'land_area': lib.getNumber(stats, 'land_area')
+      });
+
+      var properties = lib.mergeConfig(
+        lib.maskMetrics(plugin, scenarioStats, totalPop),
+        lib.areaMetrics(plugin, scenarioStats)
+      );
+      properties['LLG_Population'] = totalPop;
+      properties['Scenario_Key'] = descriptor.key;
+      properties['Scenario'] = descriptor.label;
+      properties['SLR_Pathway'] = descriptor.slr;
+      properties['Year'] = descriptor.year;
+      properties['Return_Period'] = descriptor.returnPeriod;
+      properties['Water_Level_m'] = descriptor.waterLevel;
+
+      return feature.set(properties);
+    });
+
+    return ee.FeatureCollection(rows);
+  }).flatten();
+}
+
+/**
+ * Aggregate long-format scenario statistics to provincial level
+ * @param {ee.FeatureCollection} scenarioStats - Long-format LLG statistics
+ * @param {Array<Object>} descriptors - Scenario descriptors
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Long-format provincial statistics
+ */
+function aggregateScenarioStatistics(scenarioStats, descriptors, config) {
+  // Scenario rows carry no connectivity or realisation columns, so skip the plugin hooks
+  var plugin = lib.corePlugin(lib.getHazard('coastal_inundation'));
+
+  var tables = descriptors.map(function(descriptor) {
+    var filtered = scenarioStats.filter(ee.Filter.eq('Scenario_Key', descriptor.key));
+
+    return lib.aggregateToProvinceLevel(plugin, filtered, config).map(function(feature) {
+      return feature.set({
+        'Scenario_Key': descriptor.key,
+        'Scenario': descriptor.label,
+        'SLR_Pathway': descriptor.slr,
+        'Year': descriptor.year,
+        'Return_Period': descriptor.returnPeriod,
+        'Water_Level_m': descriptor.waterLevel
+      });
+    });
+  });
+
+  return ee.FeatureCollection(tables).flatten();
+}
+
+/**
+ * Run and export the scenarios configured in config.coastalScenarios
+ * @param {Object} analysis - Coastal analysis results (see lib.analyze)
+ * @return {Object} Scenario results: descriptors, llgStats, provinceStats
+ */
+function runScenarioSweep(analysis) {
+  var config = analysis.config;
+  var descriptors = config.coastalScenarios.map(function(scenario) {
+    return describeCoastalScenario(scenario, config);
+  });
+
+  var llgStats = calculateScenarioStatistics(
+    analysis.boundaries, analysis.population, descriptors,
+    analysis.region.geometry(), config
+  );
+  var provinceStats = aggregateScenarioStatistics(llgStats, descriptors, config);
+
+  lib.exportTable(llgStats, config.exportDescriptions.scenarioLLG, config);
+  lib.exportTable(provinceStats, config.exportDescriptions.scenarioProvince, config);
+
+  print('Coastal scenarios:', descriptors.map(function(d) {
+    return d.key + ' (' + d.waterLevel.toFixed(2) + 'm)';
+  }));
+  print('Coastal scenarios (provincial sample):', provinceStats.limit(10));
+
+  return {
+    descriptors: descriptors,
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// DEM COMPARISON
+// ============================================================================
+
+/**
+ * Calculate exposure for several DEMs side by side
+ * Reduces one multi-band image (two bands per DEM) once per LLG and adds
+ * <DEM>_Exposed_Population, <DEM>_Exposure_Ratio and <DEM>_Coastal_Area_km2
+ *
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {ee.Image} population - Population image
+ * @param {Array<string>} demIds - DEM ids (see DEMS)
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} LLG statistics, one column group per DEM
+ */
+function calculateDemComparison(boundaries, population, demIds, region, config) {
+  var plugin = lib.getHazard('coastal_inundation');
+  var waterLevel = resolveWaterLevel(config).waterLevel;
+  var pop = population.select([0], ['total_pop']);
+  var bands = [pop, lib.createAreaImage().rename('land_area')];
+
+  demIds.forEach(function(demId, i) {
+    var elevation = loadDem(demId, region, config);
+    var coastalMask = createCoastalZone(elevation, waterLevel, config).zone;
+    bands.push(pop.updateMask(coastalMask).rename('exposed_pop_' + i));
+    bands.push(lib.createAreaImage(coastalMask).rename('hazard_area_' + i));
+  });
+  var multiband = ee.Image(bands);
+
+  return boundaries.map(function(feature) {
+    var stats = lib.reduceSum(multiband, feature.geometry(), config);
+    var totalPop = lib.getNumber(stats, 'total_pop').round();
+    var landArea = lib.getNumber(stats, 'land_area');
+    var properties = {
+      'LLG_Population': totalPop,
+      'LLG_Area_km2': landArea,
+      'Area_Method': lib.AREA_METHOD
+    };
+
+    demIds.forEach(function(demId, i) {
+      var demStats = ee.Dictionary({
+        'exposed_pop': lib.getNumber(stats, 'exposed_pop_' + i),
+        'hazard_area': lib.getNumber(stats, 'hazard_area_' + i)
+      });
+      var metrics = lib.maskMetrics(plugin, demStats, totalPop);
+      var prefix = DEMS[demId].fieldPrefix + '_';
+
+      properties[prefix + 'Exposed_Population'] = metrics['Exposed_Population'];
+      properties[prefix + 'Exposure_Ratio'] = metrics['Exposure_Ratio'];
+      properties[prefix + plugin.metrics.area] = metrics[plugin.metrics.area];
+      properties[prefix + 'Hazard_Area_Share'] = lib.safeDivide(metrics[plugin.metrics.area], landArea);
+      properties[prefix + 'Datum'] = getDemDatum(demId, config);
+    });
+
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Aggregate the DEM comparison to provinces and rank provinces per DEM
+ * Adds <DEM>_Rank (1 = highest exposure ratio) and the spread of ranks
+ * across DEMs (Rank_Min, Rank_Max, Rank_Range)
+ *
+ * @param {ee.FeatureCollection} llgComparison - LLG DEM comparison
+ * @param {Array<string>} demIds - DEM ids (see DEMS)
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Provincial DEM comparison
+ */
+function aggregateDemComparison(llgComparison, demIds, config) {
+  var plugin = lib.getHazard('coastal_inundation');
+  var fields = ['LLG_Population', 'LLG_Area_km2'];
+  demIds.forEach(function(demId) {
+    var prefix = DEMS[demId].fieldPrefix + '_';
+    fields.push(prefix + 'Exposed_Population', prefix + plugin.metrics.area);
+  });
+
+  var provinceStats = lib.sumByProvince(llgComparison, fields, config).map(function(feature) {
+    var totalPop = feature.get('LLG_Population');
+    var landArea = feature.get('LLG_Area_km2');
+    var properties = {
+      'Total_Population': totalPop,
+      'Province_Area_km2': landArea,
+      'Area_Method': lib.AREA_METHOD
+    };
+    demIds.forEach(function(demId) {
+      var prefix = DEMS[demId].fieldPrefix + '_';
+      properties[prefix + 'Exposure_Ratio'] = lib.safeDivide(feature.get(prefix + 'Exposed_Population'), totalPop);
+      properties[prefix + 'Hazard_Area_Share'] = lib.safeDivide(feature.get(prefix + plugin.metrics.area), landArea);
+      properties[prefix + 'Datum'] = getDemDatum(demId, config);
+    });
+    return ee.Feature(null, feature.toDictionary().remove(['LLG_Population', 'LLG_Area_km2'])).set(properties);
+  });
+
+  demIds.forEach(function(demId) {
+    var prefix = DEMS[demId].fieldPrefix + '_';
+    provinceStats = lib.addRank(provinceStats, prefix + 'Exposure_Ratio', prefix + 'Rank', 'Province');
+  });
+
+  return provinceStats.map(function(feature) {
+    var ranks = ee.List(demIds.map(function(demId) {
+      return feature.get(DEMS[demId].fieldPrefix + '_Rank');
+    }));
+    var rankMin = ee.Number(ranks.reduce(ee.Reducer.min()));
+    var rankMax = ee.Number(ranks.reduce(ee.Reducer.max()));
+    return feature.set({
+      'Rank_Min': rankMin,
+      'Rank_Max': rankMax,
+      'Rank_Range': rankMax.subtract(rankMin)
+    });
+  });
+}
+
+/**
+ * Run and export the DEM comparison configured in config.demComparison
+ * @param {Object} analysis - Coastal analysis results (see lib.analyze)
+ * @return {Object} Comparison results: dems, llgStats, provinceStats
+ */
+function runDemComparison(analysis) {
+  var config = analysis.config;
+  var demIds = config.demComparison.dems;
+
+  var llgStats = calculateDemComparison(
+    analysis.boundaries, analysis.population, demIds,
+    analysis.region.geometry(), config
+  );
+  var provinceStats = aggregateDemComparison(llgStats, demIds, config);
+
+  lib.exportTable(llgStats, config.exportDescriptions.demLLG, config);
+  lib.exportTable(provinceStats, config.exportDescriptions.demProvince, config);
+
+  print('DEM comparison:', demIds.map(function(demId) { return DEMS[demId].label; }));
+  print('DEM comparison (provinces by rank range):', provinceStats.sort('Rank_Range', false));
+
+  return {
+    dems: demIds,
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+exports.plugin = lib.registerHazard({
+  id: 'coastal_inundation',
+  name: 'Coastal Inundation',
+  fieldPrefix: 'Coastal',
+  type: 'mask',
+  metrics: {
+    area: 'Coastal_Area_km2',
+    index: 'Exposure_Ratio',
+    provinceIndex: 'Exposure_Ratio'
+  },
+  defaults: DEFAULTS,
+  buildHazard: buildHazard,
+  summaryLines: summaryLines,
+  hazardYear: hazardYear,
+  baselineConfig: baselineConfig,
+  statisticBands: statisticBands,
+  llgMetrics: llgMetrics,
+  provinceMetrics: provinceMetrics,
+  nationalMetrics: nationalMetrics
+});
+
+exports.DEMS = DEMS;
+
+exports.correctElevation = correctElevation;
+exports.loadDem = loadDem;
+exports.loadElevation = loadElevation;
+exports.createInundationMask = createInundationMask;
+exports.loadElevationData = loadElevationData;
+exports.loadSeaMask = loadSeaMask;
+exports.applyConnectivity = applyConnectivity;
+exports.createCoastalZone = createCoastalZone;
+exports.createElevationNoise = createElevationNoise;
+exports.createRealisationMasks = createRealisationMasks;
+exports.describeCoastalScenario = describeCoastalScenario;
+exports.calculateScenarioStatistics = calculateScenarioStatistics;
+exports.aggregateScenarioStatistics = aggregateScenarioStatistics;
+exports.runScenarioSweep = runScenarioSweep;
+exports.calculateDemComparison = calculateDemComparison;
+exports.aggregateDemComparison = aggregateDemComparison;
+exports.runDemComparison = runDemComparison;
@@ -0,0 +1,1040 @@
+/**
+ * ============================================================================
+ * LANDSLIDE HAZARD PLUGIN
+ * ============================================================================
+ *
+ * Purpose: Supplies the 4-level landslide risk class image and landslide
+ *          metric names to the shared hazard exposure library
+ *          (lib/PNG_HazardExposure.js).
+ *
+ * Data Sources:
+ *   - NGI Landslide Hazard: Earthquake and precipitation-triggered susceptibility
+ *
+ * Methodology Note:
+ *   Earthquake and precipitation hazards are combined by taking the maximum
+ *   value per pixel, then the 1-8 NGI scale is reclassified into four levels.
+ *   Each trigger is also reclassified on its own so exposure can be reported
+ *   per trigger, with the dominant trigger per LLG and province.
+ *   Optional downscaling adjusts the ~1km NGI levels with 30m SRTM slope and
+ *   curvature before classification: flat ground is demoted, steep slopes and
+ *   convergent hollows are promoted.
+ *   Optional runout zones propagate High and Very High source cells downslope
+ *   along SRTM D8 flow directions, limited by a travel angle or distance.
+ *   Class breaks and weights come from riskLevels / riskWeights; provinces
+ *   are scored with the method selected in scoring.method.
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Asset paths
+  assetPaths: {
+    landslide_PR: 'projects/sample-task-app-0nnek4/assets/landslide_PR',
+    landslide_EQ: 'projects/sample-task-app-0nnek4/assets/LandSlide_EQ'
+  },
+
+  // Analysis parameters
+  scale: 100,                   // Spatial resolution
+
+  // Risk classification thresholds (1-8 scale from NGI data)
+  riskLevels: {
+    low: {min: 1, max: 2},
+    medium: {min: 3, max: 4},
+    high: {min: 5, max: 6},
+    veryHigh: {min: 7, max: 8}
+  },
+
+  // Lowest reclassified level counted as hazard-exposed in cross-hazard
+  // analyses (3 = High, so High and Very High)
+  exposureMinClass: 3,
+
+  // Risk scoring weights
+  riskWeights: {
+    low: 1,
+    medium: 2,
+    high: 3,
+    veryHigh: 4
+  },
+
+  // Terrain downscaling of the NGI levels (1-8) using SRTM slope (degrees)
+  // and curvature (3×3 Laplacian of elevation in meters, positive = hollow).
+  // Levels are shifted per 30m pixel and clamped to 1-8
+  downscaling: {
+    enabled: false,
+    dem: 'USGS/SRTMGL1_003',
+    flatSlope: 5,               // Below: demoted by flatDemotion levels
+    flatDemotion: 2,
+    steepSlope: 30,             // At or above: promoted by steepPromotion
+    steepPromotion: 1,
+    hollowCurvature: 1,         // Above (on non-flat ground): promoted by
+    hollowPromotion: 1          // hollowPromotion
+  },
+
+  // Runout zones below source cells (classes at or above exposureMinClass).
+  // Debris travels downslope along SRTM D8 flow directions on a `scale` m
+  // grid until it exceeds maxDistance or, with rule 'travelAngle', drops
+  // below the energy line of the given angle (H/L = tan(angle))
+  runout: {
+    enabled: false,
+    dem: 'USGS/SRTMGL1_003',
+    rule: 'travelAngle',        // 'travelAngle' or 'maxDistance'
+    travelAngle: 15,            // Degrees
+    maxDistance: 2000,          // Meters
+    scale: 90                   // Meters; propagation grid
+  },
+
+  // Provincial scoring method (see SCORING_METHODS):
+  //   'populationWeighted' - Σ(class population × weight) / total population
+  //   'highShare'          - share of population at or above exposureMinClass
+  //   'percentile'         - risk level reached by the given population
+  //                          percentile (0 = outside any risk class)
+  //   'llgMean'            - plain mean of LLG Risk_Score values
+  scoring: {
+    method: 'populationWeighted',
+    percentile: 90
+  },
+
+  // Color palettes
+  palettes: {
+    riskScore: ['#ffffff00', '#f7f3e6', '#e7d8c6', '#d9bca6', '#cc9f86',
+                '#bf8266', '#b46546', '#a84826', '#8e3c20', '#6e2e17'],
+    detailedRisk: ['#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476',
+                   '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+    fourLevel: ['#ffffcc', '#ffeda0', '#f03b20', '#bd0026'],
+    triggers: ['#6a3d9a', '#1f78b4', '#b2df8a'],
+    adjustment: ['#2166ac', '#92c5de', '#f7f7f7', '#f4a582', '#b2182b'],
+    runout: ['#ff00ff']
+  },
+
+  // Legend and LLG choropleth
+  legend: {
+    title: 'Landslide Risk Score',
+    property: 'Risk_Score',
+    layerName: 'Risk Score (LLG Level)',
+    min: 0,
+    max: 4,
+    labels: ['Low', 'High'],
+    rankProperty: 'Province_Risk_Score',
+    extraTotals: [
+      {property: 'EQ_Exposed_Population', label: 'High+ Risk, Earthquake Trigger'},
+      {property: 'PR_Exposed_Population', label: 'High+ Risk, Precipitation Trigger'},
+      {property: 'Runout_Population', label: 'Additional in Runout Zones'}
+    ]
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Landslide_Risk_Analysis',
+    province: 'PNG_Province_Landslide_Risk_Summary',
+    downscalingLLG: 'PNG_LLG_Landslide_Downscaling_Comparison',
+    downscalingProvince: 'PNG_Province_Landslide_Downscaling_Comparison'
+  },
+  consoleTitle: 'PNG LANDSLIDE RISK ANALYSIS'
+};
+
+DEFAULTS.legend.palette = DEFAULTS.palettes.riskScore;
+
+// Reclassified risk levels; breaks and weights are read from riskLevels and
+// riskWeights under the same key (see configure)
+var RISK_CLASSES = [
+  {key: 'low', value: 1, label: 'Low', prefix: 'Low_Risk'},
+  {key: 'medium', value: 2, label: 'Medium', prefix: 'Medium_Risk'},
+  {key: 'high', value: 3, label: 'High', prefix: 'High_Risk'},
+  {key: 'veryHigh', value: 4, label: 'Very High', prefix: 'Very_High_Risk'}
+];
+
+// D8 neighbour offsets (pixels) and direction codes; code k and
+// (k + 3) % 8 + 1 point in opposite directions
+var D8_OFFSETS = [
+  {dx: 1, dy: 0, code: 1},
+  {dx: 1, dy: 1, code: 2},
+  {dx: 0, dy: 1, code: 3},
+  {dx: -1, dy: 1, code: 4},
+  {dx: -1, dy: 0, code: 5},
+  {dx: -1, dy: -1, code: 6},
+  {dx: 0, dy: -1, code: 7},
+  {dx: 1, dy: -1, code: 8}
+];
+
+// Provincial scoring methods and their legend ranking settings
+var SCORING_METHODS = {
+  populationWeighted: {label: 'Population-Weighted Risk Score', format: 'decimal'},
+  highShare: {label: 'Share of Population at High+ Risk', format: 'percent'},
+  percentile: {label: 'Percentile Risk Level', format: 'decimal'},
+  llgMean: {label: 'Mean LLG Risk Score', format: 'decimal'}
+};
+
+// Landslide triggers reported separately (prefix used in column names)
+var TRIGGERS = [
+  {key: 'earthquake', prefix: 'EQ', label: 'Earthquake'},
+  {key: 'precipitation', prefix: 'PR', label: 'Precipitation'}
+];
+
+/**
+ * Derive risk classes and legend ranking from the merged configuration
+ * Builds config.classes from riskLevels and riskWeights, checks that the
+ * breaks ascend without overlap, and points the legend ranking at the
+ * selected scoring method
+ *
+ * @param {Object} config - Merged run configuration
+ * @return {Object} Run configuration with classes and legend ranking
+ */
+function configure(config) {
+  var method = SCORING_METHODS[config.scoring.method];
+  if (!method) {
+    throw new Error('Unknown landslide scoring method: ' + config.scoring.method);
+  }
+
+  var previousMax = -Infinity;
+  var classes = RISK_CLASSES.map(function(riskClass) {
+    var level = config.riskLevels[riskClass.key];
+    var weight = config.riskWeights[riskClass.key];
+    if (!level || typeof weight !== 'number') {
+      throw new Error('Landslide risk level "' + riskClass.key + '" needs riskLevels and riskWeights entries');
+    }
+    if (level.min > level.max || level.min <= previousMax) {
+      throw new Error('Landslide risk level breaks must ascend without overlap at "' + riskClass.key + '"');
+    }
+    previousMax = level.max;
+
+    return {
+      value: riskClass.value,
+      label: riskClass.label,
+      prefix: riskClass.prefix,
+      min: level.min,
+      max: level.max,
+      weight: weight
+    };
+  });
+
+  var title = config.scoring.method === 'percentile' ?
+    'P' + config.scoring.percentile + ' ' + method.label : method.label;
+
+  return lib.mergeConfig(config, {
+    classes: classes,
+    legend: {
+      rankTitle: 'Top 5 Provinces by ' + title + ':',
+      rankFormat: method.format
+    }
+  });
+}
+
+DEFAULTS.classes = configure(DEFAULTS).classes;
+
+// ============================================================================
+// HAZARD FUNCTIONS
+// ============================================================================
+
+/**
+ * Load landslide hazard data (precipitation and earthquake triggers)
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {Object} Object containing precipitation and earthquake hazard images
+ */
+function loadLandslideData(region, config) {
+  var precipitationHazard = ee.Image(config.assetPaths.landslide_PR)
+    .clip(region);
+  var earthquakeHazard = ee.Image(config.assetPaths.landslide_EQ)
+    .clip(region);
+
+  return {
+    precipitation: precipitationHazard,
+    earthquake: earthquakeHazard
+  };
+}
+
+/**
+ * Mask landslide hazard data to valid risk levels (1-8)
+ * @param {ee.Image} image - Landslide hazard image
+ * @return {ee.Image} Masked hazard image
+ */
+function maskValidRiskLevels(image) {
+  var mask = image.gte(1).and(image.lte(8));
+  return image.updateMask(mask);
+}
+
+/**
+ * Combine earthquake and precipitation hazards using maximum value
+ * @param {ee.Image} earthquakeHazard - Earthquake-triggered hazard
+ * @param {ee.Image} precipitationHazard - Precipitation-triggered hazard
+ * @return {ee.Image} Combined hazard (maximum of both triggers)
+ */
+function combineLandslideHazards(earthquakeHazard, precipitationHazard) {
+  var maskedEQ = maskValidRiskLevels(earthquakeHazard);
+  var maskedPR = maskValidRiskLevels(precipitationHazard);
+
+  return maskedEQ.max(maskedPR);
+}
+
+/**
+ * Reclassify 8-level risk to 4-level risk (Low, Medium, High, Very High)
+ * NGI levels outside every class range are masked
+ *
+ * @param {ee.Image} image - 8-level risk image
+ * @param {Array<Object>} classes - Optional risk classes with min/max breaks
+ *                                  (default: configured DEFAULTS.classes)
+ * @return {ee.Image} 4-level reclassified risk image
+ */
+function reclassifyRisk(image, classes) {
+  var reclassified = image.multiply(0);
+
+  (classes || DEFAULTS.classes).forEach(function(cls) {
+    reclassified = reclassified.where(image.gte(cls.min).and(image.lte(cls.max)), cls.value);
+  });
+
+  return reclassified.selfMask().rename('Risk_Level');
+}
+
+/**
+ * Per-pixel NGI level shift from slope and curvature
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} settings - Downscaling settings
+ * @return {ee.Image} Level adjustment (negative = demoted)
+ */
+function createTerrainAdjustment(region, settings) {
+  var elevation = ee.Image(settings.dem).select(0).clip(region);
+  var slope = ee.Terrain.slope(elevation);
+  var curvature = elevation.convolve(ee.Kernel.laplacian8({normalize: false}));
+
+  var flat = slope.lt(settings.flatSlope);
+  var steep = slope.gte(settings.steepSlope);
+  var hollow = curvature.gt(settings.hollowCurvature).and(flat.not());
+
+  return ee.Image(0)
+    .subtract(flat.multiply(settings.flatDemotion))
+    .add(steep.multiply(settings.steepPromotion))
+    .add(hollow.multiply(settings.hollowPromotion))
+    .rename('Terrain_Adjustment');
+}
+
+/**
+ * Redistribute the coarse NGI levels of both triggers within each cell
+ * @param {Object} landslideData - Raw hazards (see loadLandslideData)
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {Object} Downscaled earthquake and precipitation hazards and the
+ *                  terrain adjustment image
+ */
+function downscaleLandslideData(landslideData, region, config) {
+  var adjustment = createTerrainAdjustment(region, config.downscaling);
+
+  function downscale(image) {
+    return maskValidRiskLevels(image).add(adjustment).clamp(1, 8);
+  }
+
+  return {
+    precipitation: downscale(landslideData.precipitation),
+    earthquake: downscale(landslideData.earthquake),
+    adjustment: adjustment
+  };
+}
+
+/**
+ * Combine both triggers and reclassify into risk levels
+ * @param {Object} landslideData - Raw or downscaled trigger hazards
+ * @param {Object} config - Run configuration
+ * @return {ee.Image} Reclassified risk image
+ */
+function createRiskLevels(landslideData, config) {
+  var combinedHazard = combineLandslideHazards(
+    landslideData.earthquake,
+    landslideData.precipitation
+  );
+  return reclassifyRisk(combinedHazard, config.classes);
+}
+
+/**
+ * Attribute each hazard pixel to the trigger with the higher NGI level
+ * @param {ee.Image} earthquakeHazard - Earthquake-triggered hazard
+ * @param {ee.Image} precipitationHazard - Precipitation-triggered hazard
+ * @return {ee.Image} 1 = earthquake, 2 = precipitation, 3 = equal
+ */
+function createTriggerAttribution(earthquakeHazard, precipitationHazard) {
+  var eq = maskValidRiskLevels(earthquakeHazard).unmask(0);
+  var pr = maskValidRiskLevels(precipitationHazard).unmask(0);
+
+  return ee.Image(3)
+    .where(eq.gt(pr), 1)
+    .where(pr.gt(eq), 2)
+    .updateMask(eq.max(pr).gt(0))
+    .rename('Dominant_Trigger');
+}
+
+/**
+ * Build the reclassified landslide risk image and its map layers
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {Object} Hazard image and map layers
+ */
+function buildHazard(region, config) {
+  var landslideData = loadLandslideData(region, config);
+  if (config.downscaling.enabled) {
+    landslideData = downscaleLandslideData(landslideData, region, config);
+  }
+
+  var reclassifiedRisk = createRiskLevels(landslideData, config).clip(region);
+  var triggerAttribution = createTriggerAttribution(
+    landslideData.earthquake,
+    landslideData.precipitation
+  ).clip(region);
+
+  var hazard = {
+    image: reclassifiedRisk,
+    triggers: {
+      earthquake: reclassifyRisk(maskValidRiskLevels(landslideData.earthquake), config.classes),
+      precipitation: reclassifyRisk(maskValidRiskLevels(landslideData.precipitation), config.classes)
+    },
+    triggerAttribution: triggerAttribution,
+    layers: [
+      {
+        image: reclassifiedRisk,
+        vis: {min: 1, max: 4, palette: config.palettes.fourLevel},
+        name: config.downscaling.enabled ? 'Landslide Risk (4 Levels, Downscaled)' : 'Landslide Risk (4 Levels)',
+        shown: false
+      },
+      {
+        image: maskValidRiskLevels(landslideData.precipitation),
+        vis: {min: 1, max: 8, palette: config.palettes.detailedRisk},
+        name: 'Landslide Risk (Precipitation)',
+        shown: false
+      },
+      {
+        image: maskValidRiskLevels(landslideData.earthquake),
+        vis: {min: 1, max: 8, palette: config.palettes.detailedRisk},
+        name: 'Landslide Risk (Earthquake)',
+        shown: false
+      },
+      {
+        image: triggerAttribution,
+        vis: {min: 1, max: 3, palette: config.palettes.triggers},
+        name: 'Landslide Trigger Attribution',
+        shown: false,
+        legend: {
+          title: 'Dominant Landslide Trigger',
+          items: [
+            {color: config.palettes.triggers[0], label: 'Earthquake'},
+            {color: config.palettes.triggers[1], label: 'Precipitation'},
+            {color: config.palettes.triggers[2], label: 'Equal'}
+          ]
+        }
+      }
+    ]
+  };
+
+  if (config.runout.enabled) {
+    hazard.runoutZone = createRunoutZone(reclassifiedRisk, region, config);
+    hazard.layers.push({
+      image: hazard.runoutZone,
+      vis: {palette: config.palettes.runout, min: 0, max: 1},
+      name: 'Landslide Runout Zones',
+      shown: false
+    });
+  }
+
+  if (landslideData.adjustment) {
+    hazard.layers.push({
+      image: landslideData.adjustment.clip(region),
+      vis: {min: -2, max: 2, palette: config.palettes.adjustment},
+      name: 'Terrain Adjustment (NGI Levels)',
+      shown: false
+    });
+  }
+  return hazard;
+}
+
+// ============================================================================
+// RUNOUT ZONES
+// ============================================================================
+
+/**
+ * Band name of a neighbour produced by neighborhoodToBands
+ * @param {string} band - Input band name
+ * @param {Object} offset - D8 offset {dx, dy}
+ * @return {string} Neighbour band name
+ */
+function neighbourBand(band, offset) {
+  return band + '_' + offset.dx + '_' + offset.dy;
+}
+
+/**
+ * D8 flow direction: code of the neighbour with the steepest drop
+ * Pits and flats (no lower neighbour) get 0
+ *
+ * @param {ee.Image} elevation - Elevation in meters
+ * @param {ee.Projection} projection - Propagation grid
+ * @return {ee.Image} Direction code (see D8_OFFSETS)
+ */
+function createFlowDirection(elevation, projection) {
+  var z = elevation.rename('z').reproject(projection);
+  var neighbours = z.neighborhoodToBands(ee.Kernel.square(1));
+  var direction = ee.Image(0);
+  var steepest = ee.Image(0);
+
+  D8_OFFSETS.forEach(function(offset) {
+    var drop = z.subtract(neighbours.select(neighbourBand('z', offset)))
+      .divide(Math.sqrt(offset.dx * offset.dx + offset.dy * offset.dy));
+    direction = direction.where(drop.gt(steepest), offset.code);
+    steepest = steepest.max(drop);
+  });
+
+  return direction.rename('direction').reproject(projection);
+}
+
+/**
+ * Propagate source cells downslope along D8 flow directions
+ * Each step extends runout cells by one pixel into the cell they drain to.
+ * A cell stays in the runout while the path is within maxDistance and, for
+ * the travel-angle rule, the drop from the source elevation is at least
+ * path length × tan(travelAngle)
+ *
+ * @param {ee.Image} sources - Binary source mask
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} settings - Runout settings
+ * @return {ee.Image} Binary runout mask (sources included)
+ */
+function propagateRunout(sources, region, settings) {
+  var elevation = ee.Image(settings.dem).select(0).clip(region);
+  var projection = elevation.projection().atScale(settings.scale);
+  var z = elevation.reproject(projection);
+  var direction = createFlowDirection(elevation, projection);
+  var tanAngle = Math.tan(settings.travelAngle * Math.PI / 180);
+  var noSource = -1e4;
+  var steps = Math.ceil(settings.maxDistance / settings.scale);
+
+  var isSource = sources.unmask(0).reproject(projection);
+  var state = ee.Image.cat(
+    isSource.rename('runout'),
+    z.where(isSource.not(), noSource).rename('source_z'),
+    ee.Image(0).rename('length'),
+    direction
+  );
+
+  for (var i = 0; i < steps; i++) {
+    var neighbours = state.neighborhoodToBands(ee.Kernel.square(1));
+    var sourceZ = ee.Image(noSource);
+    var length = ee.Image(settings.maxDistance);
+
+    D8_OFFSETS.forEach(function(offset) {
+      var inflowCode = (offset.code + 3) % 8 + 1;
+      var pathLength = neighbours.select(neighbourBand('length', offset))
+        .add(Math.sqrt(offset.dx * offset.dx + offset.dy * offset.dy) * settings.scale);
+      var neighbourZ = neighbours.select(neighbourBand('source_z', offset));
+
+      var reaches = neighbours.select(neighbourBand('runout', offset)).eq(1)
+        .and(neighbours.select(neighbourBand('direction', offset)).eq(inflowCode))
+        .and(pathLength.lte(settings.maxDistance));
+      if (settings.rule === 'travelAngle') {
+        reaches = reaches.and(neighbourZ.subtract(z).gte(pathLength.multiply(tanAngle)));
+      }
+
+      sourceZ = sourceZ.where(reaches.and(neighbourZ.gt(sourceZ)), neighbourZ);
+      length = length.where(reaches, length.min(pathLength));
+    });
+
+    var reached = state.select('runout').eq(0).and(sourceZ.gt(noSource));
+    state = ee.Image.cat(
+      state.select('runout').or(reached).rename('runout'),
+      state.select('source_z').where(reached, sourceZ),
+      state.select('length').where(reached, length),
+      direction
+    ).reproject(projection);
+  }
+
+  return state.select('runout').selfMask();
+}
+
+/**
+ * Runout zone below High and Very High source cells
+ * Cells already at or above exposureMinClass are excluded so the zone only
+ * holds additional exposure
+ *
+ * @param {ee.Image} riskLevels - Reclassified risk image
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {ee.Image} Binary runout zone mask
+ */
+function createRunoutZone(riskLevels, region, config) {
+  if (['travelAngle', 'maxDistance'].indexOf(config.runout.rule) === -1) {
+    throw new Error('Unknown landslide runout rule: ' + config.runout.rule);
+  }
+  var sources = riskLevels.gte(config.exposureMinClass).selfMask();
+  var runout = propagateRunout(sources, region, config.runout);
+
+  return runout.updateMask(sources.unmask(0).not()).rename('runout').clip(region);
+}
+
+/**
+ * Bands for population and area in the runout zone
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Statistic bands
+ */
+function runoutBands(population, hazardData, config) {
+  if (!config.runout.enabled || !hazardData.runoutZone) {
+    return [];
+  }
+  return [
+    population.updateMask(hazardData.runoutZone).rename('runout_pop'),
+    lib.createAreaImage(hazardData.runoutZone).rename('runout_area')
+  ];
+}
+
+/**
+ * Runout fields: additional population and area below source cells, and
+ * High+ exposure including the runout zone
+ * @param {ee.Number} runoutPop - Population in the runout zone
+ * @param {ee.Number} runoutArea - Runout zone area (km²)
+ * @param {Function} classPopulation - function(cls) returning the class
+ *                                     population as ee.Number
+ * @param {ee.Number} totalPop - Total population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function runoutFields(runoutPop, runoutArea, classPopulation, totalPop, config) {
+  var exposed = ee.Number(runoutPop);
+  config.classes.forEach(function(cls) {
+    if (cls.value >= config.exposureMinClass) {
+      exposed = exposed.add(classPopulation(cls));
+    }
+  });
+
+  return {
+    'Runout_Population': runoutPop,
+    'Runout_Area_km2': runoutArea,
+    'Runout_Ratio': lib.safeDivide(runoutPop, totalPop),
+    'Exposed_With_Runout_Population': exposed
+  };
+}
+
+/**
+ * Runout properties for one LLG
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function runoutLLGMetrics(stats, totalPop, config) {
+  if (!config.runout.enabled) {
+    return {};
+  }
+  return runoutFields(
+    lib.getNumber(stats, 'runout_pop').round(),
+    lib.getNumber(stats, 'runout_area'),
+    function(cls) { return lib.getNumber(stats, 'class_' + cls.value).round(); },
+    totalPop,
+    config
+  );
+}
+
+/**
+ * Runout properties summed over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {ee.Number} totalPop - Total population of the rows
+ * @param {Object} config - Run configuration
+ * @return {Object} Summed properties
+ */
+function sumRunoutFields(llgRows, totalPop, config) {
+  if (!config.runout.enabled) {
+    return {};
+  }
+  return runoutFields(
+    llgRows.aggregate_sum('Runout_Population'),
+    llgRows.aggregate_sum('Runout_Area_km2'),
+    function(cls) { return llgRows.aggregate_sum(cls.prefix + '_Population'); },
+    totalPop,
+    config
+  );
+}
+
+// ============================================================================
+// PROVINCIAL SCORING
+// ============================================================================
+
+/**
+ * Risk level reached by a population percentile
+ * People outside every risk class count as level 0
+ *
+ * @param {Array<ee.Number>} classPops - Population per class, ascending
+ * @param {Array<Object>} classes - Risk classes, ascending
+ * @param {ee.Number} totalPop - Total population
+ * @param {number} percentile - Percentile (0-100)
+ * @return {ee.Number} Risk level (0 to highest class value)
+ */
+function percentileRiskLevel(classPops, classes, totalPop, percentile) {
+  var target = ee.Number(totalPop).multiply(percentile / 100);
+  var classed = classPops.reduce(function(sum, pop) { return sum.add(pop); }, ee.Number(0));
+  var cumulative = ee.Number(totalPop).subtract(classed);  // Level 0 share
+  var thresholds = [];
+
+  classPops.forEach(function(pop, i) {
+    cumulative = cumulative.add(pop);
+    thresholds.push({value: classes[i].value, cumulative: cumulative});
+  });
+
+  // Walk down from the highest class to find the lowest level reaching target
+  var level = ee.Number(classes[classes.length - 1].value);
+  for (var i = thresholds.length - 2; i >= 0; i--) {
+    level = ee.Number(ee.Algorithms.If(
+      thresholds[i].cumulative.gte(target), thresholds[i].value, level));
+  }
+  var unclassed = ee.Number(totalPop).subtract(classed);
+  return ee.Number(ee.Algorithms.If(unclassed.gte(target), 0, level));
+}
+
+/**
+ * Scores of every method for a set of LLG rows, plus the selected one
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {ee.Number} totalPop - Total population of the rows
+ * @param {Object} config - Run configuration
+ * @return {Object} Risk_Score_Pop_Weighted, High_Risk_Share,
+ *                  Risk_Level_P<n>, Province_Risk_Score, Scoring_Method
+ */
+function scoreFields(llgRows, totalPop, config) {
+  var classPops = config.classes.map(function(cls) {
+    return ee.Number(llgRows.aggregate_sum(cls.prefix + '_Population'));
+  });
+
+  var weighted = ee.Number(0);
+  var high = ee.Number(0);
+  config.classes.forEach(function(cls, i) {
+    weighted = weighted.add(classPops[i].multiply(cls.weight));
+    if (cls.value >= config.exposureMinClass) {
+      high = high.add(classPops[i]);
+    }
+  });
+
+  var scores = {
+    populationWeighted: lib.safeDivide(weighted, totalPop),
+    highShare: lib.safeDivide(high, totalPop),
+    percentile: percentileRiskLevel(classPops, config.classes, totalPop, config.scoring.percentile),
+    llgMean: llgRows.aggregate_mean('Risk_Score')
+  };
+
+  var properties = {
+    'Risk_Score_Pop_Weighted': scores.populationWeighted,
+    'High_Risk_Share': scores.highShare,
+    'Province_Risk_Score': scores[config.scoring.method],
+    'Scoring_Method': config.scoring.method
+  };
+  properties['Risk_Level_P' + config.scoring.percentile] = scores.percentile;
+  return properties;
+}
+
+// ============================================================================
+// TRIGGER STATISTICS
+// ============================================================================
+
+/**
+ * Bands for population per risk level for each trigger
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Statistic bands
+ */
+function triggerBands(population, hazardData, config) {
+  if (!hazardData.triggers) {
+    return [];
+  }
+  var bands = [];
+
+  TRIGGERS.forEach(function(trigger) {
+    var levels = hazardData.triggers[trigger.key];
+    config.classes.forEach(function(cls) {
+      bands.push(population.updateMask(levels.eq(cls.value))
+        .rename(trigger.key + '_class_' + cls.value));
+    });
+  });
+
+  return bands;
+}
+
+/**
+ * Name the trigger with more exposed people
+ * @param {ee.Number} earthquakePop - Exposed population, earthquake trigger
+ * @param {ee.Number} precipitationPop - Exposed population, precipitation
+ * @return {ee.String} 'Earthquake', 'Precipitation', 'Equal' or 'None'
+ */
+function dominantTrigger(earthquakePop, precipitationPop) {
+  var eq = ee.Number(earthquakePop);
+  var pr = ee.Number(precipitationPop);
+
+  return ee.String(ee.Algorithms.If(eq.add(pr).eq(0), 'None',
+    ee.Algorithms.If(eq.gt(pr), 'Earthquake',
+      ee.Algorithms.If(pr.gt(eq), 'Precipitation', 'Equal'))));
+}
+
+/**
+ * Per-trigger exposure fields derived from per-class populations
+ * <Trigger>_<Class>_Population, <Trigger>_Exposed_Population (classes at or
+ * above exposureMinClass) and Dominant_Trigger
+ *
+ * @param {Function} classPopulation - function(trigger, cls) returning the
+ *                                     class population as ee.Number
+ * @param {ee.Number} totalPop - Total population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function triggerFields(classPopulation, totalPop, config) {
+  var properties = {};
+  var exposed = {};
+
+  TRIGGERS.forEach(function(trigger) {
+    var exposedPop = ee.Number(0);
+    config.classes.forEach(function(cls) {
+      var classPop = classPopulation(trigger, cls);
+      properties[trigger.prefix + '_' + cls.prefix + '_Population'] = classPop;
+      if (cls.value >= config.exposureMinClass) {
+        exposedPop = exposedPop.add(classPop);
+      }
+    });
+    exposed[trigger.key] = exposedPop;
+    properties[trigger.prefix + '_Exposed_Population'] = exposedPop;
+    properties[trigger.prefix + '_Exposure_Ratio'] = lib.safeDivide(exposedPop, totalPop);
+  });
+
+  properties['Dominant_Trigger'] = dominantTrigger(exposed.earthquake, exposed.precipitation);
+  return properties;
+}
+
+/**
+ * Per-trigger fields summed over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {ee.Number} totalPop - Total population of the rows
+ * @param {Object} config - Run configuration
+ * @return {Object} Summed properties
+ */
+function sumTriggerFields(llgRows, totalPop, config) {
+  return triggerFields(function(trigger, cls) {
+    return llgRows.aggregate_sum(trigger.prefix + '_' + cls.prefix + '_Population');
+  }, totalPop, config);
+}
+
+// ============================================================================
+// STATISTICS HOOKS
+// ============================================================================
+
+/**
+ * Extra bands summed per LLG: trigger classes and runout zone
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Extra statistic bands
+ */
+function statisticBands(population, hazardData, config) {
+  return triggerBands(population, hazardData, config)
+    .concat(runoutBands(population, hazardData, config));
+}
+
+/**
+ * Extra LLG properties: exposure per trigger, dominant trigger, runout and
+ * the scoring method of the run
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function llgMetrics(stats, totalPop, config) {
+  var properties = triggerFields(function(trigger, cls) {
+    return lib.getNumber(stats, trigger.key + '_class_' + cls.value).round();
+  }, totalPop, config);
+  properties['Scoring_Method'] = config.scoring.method;
+  return lib.mergeConfig(properties, runoutLLGMetrics(stats, totalPop, config));
+}
+
+/**
+ * Extra provincial properties: exposure per trigger, dominant trigger,
+ * runout and provincial risk scores
+ * @param {ee.FeatureCollection} filtered - LLG rows of one province
+ * @param {ee.Number} totalPop - Total provincial population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function provinceMetrics(filtered, totalPop, config) {
+  return lib.mergeConfig(
+    sumTriggerFields(filtered, totalPop, config),
+    sumRunoutFields(filtered, totalPop, config),
+    scoreFields(filtered, totalPop, config)
+  );
+}
+
+/**
+ * Extra national totals: exposure per trigger, dominant trigger and runout
+ * @param {Object} analysis - Analysis results (see lib.analyze)
+ * @return {Object} National totals
+ */
+function nationalMetrics(analysis) {
+  var totalPop = analysis.llgStats.aggregate_sum('LLG_Population');
+  return lib.mergeConfig(
+    sumTriggerFields(analysis.llgStats, totalPop, analysis.config),
+    sumRunoutFields(analysis.llgStats, totalPop, analysis.config)
+  );
+}
+
+// ============================================================================
+// DOWNSCALING COMPARISON
+// ============================================================================
+
+/**
+ * Risk-class populations per LLG for the raw and downscaled hazard
+ * Both versions are reduced together at config.scale so their columns are
+ * directly comparable: Raw_/Downscaled_<Class>_Population, Raw_/Downscaled_
+ * Risk_Score and Risk_Score_Change
+ *
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {ee.Image} population - Population image
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} LLG comparison table
+ */
+function calculateDownscalingComparison(boundaries, population, region, config) {
+  var plugin = lib.getHazard('landslide');
+  var rawData = loadLandslideData(region, config);
+  var versions = [
+    {prefix: 'Raw', image: createRiskLevels(rawData, config)},
+    {prefix: 'Downscaled', image: createRiskLevels(downscaleLandslideData(rawData, region, config), config)}
+  ];
+
+  var pop = population.select([0], ['total_pop']);
+  var bands = [pop];
+  versions.forEach(function(version) {
+    config.classes.forEach(function(cls) {
+      bands.push(pop.updateMask(version.image.eq(cls.value))
+        .rename(version.prefix + '_class_' + cls.value));
+    });
+  });
+  var multiband = ee.Image(bands);
+
+  return boundaries.map(function(feature) {
+    var stats = lib.reduceSum(multiband, feature.geometry(), config);
+    var totalPop = lib.getNumber(stats, 'total_pop').round();
+    var properties = {'LLG_Population': totalPop};
+
+    versions.forEach(function(version) {
+      var versionStats = {};
+      config.classes.forEach(function(cls) {
+        versionStats['class_' + cls.value] = lib.getNumber(stats, version.prefix + '_class_' + cls.value);
+      });
+
+      var metrics = lib.classMetrics(plugin, ee.Dictionary(versionStats), totalPop, config);
+      Object.keys(metrics).forEach(function(key) {
+        properties[version.prefix + '_' + key] = metrics[key];
+      });
+    });
+
+    properties['Risk_Score_Change'] = ee.Number(properties['Downscaled_Risk_Score'])
+      .subtract(properties['Raw_Risk_Score']);
+    return feature.set(properties);
+  });
+}
+
+/**
+ * Aggregate the downscaling comparison to provinces
+ * Scores are population-weighted so both versions use the same definition
+ *
+ * @param {ee.FeatureCollection} llgComparison - LLG comparison table
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Provincial comparison table
+ */
+function aggregateDownscalingComparison(llgComparison, config) {
+  var prefixes = ['Raw', 'Downscaled'];
+  var fields = ['LLG_Population'];
+  prefixes.forEach(function(prefix) {
+    config.classes.forEach(function(cls) {
+      fields.push(prefix + '_' + cls.prefix + '_Population');
+    });
+  });
+
+  return lib.sumByProvince(llgComparison, fields, config).map(function(feature) {
+    var totalPop = feature.get('LLG_Population');
+    var properties = {'Total_Population': totalPop};
+
+    prefixes.forEach(function(prefix) {
+      var weighted = ee.Number(0);
+      config.classes.forEach(function(cls) {
+        weighted = weighted.add(ee.Number(feature.get(prefix + '_' + cls.prefix + '_Population')).multiply(cls.weight));
+      });
+      properties[prefix + '_Risk_Score_Pop_Weighted'] = lib.safeDivide(weighted, totalPop);
+    });
+    properties['Risk_Score_Change'] = ee.Number(properties['Downscaled_Risk_Score_Pop_Weighted'])
+      .subtract(properties['Raw_Risk_Score_Pop_Weighted']);
+
+    return ee.Feature(null, feature.toDictionary().remove(['LLG_Population'])).set(properties);
+  });
+}
+
+/**
+ * Run and export the raw versus downscaled comparison
+ * @param {Object} analysis - Landslide analysis results (see lib.analyze)
+ * @return {Object} Comparison results: llgStats, provinceStats
+ */
+function runDownscalingComparison(analysis) {
+  var config = analysis.config;
+
+  var llgStats = calculateDownscalingComparison(
+    analysis.boundaries, analysis.population, analysis.region.geometry(), config
+  );
+  var provinceStats = aggregateDownscalingComparison(llgStats, config);
+
+  lib.exportTable(llgStats, config.exportDescriptions.downscalingLLG, config);
+  lib.exportTable(provinceStats, config.exportDescriptions.downscalingProvince, config);
+
+  print('Downscaling comparison (provinces by score change):', provinceStats.sort('Risk_Score_Change'));
+
+  return {
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+exports.plugin = lib.registerHazard({
+  id: 'landslide',
+  name: 'Landslide',
+  fieldPrefix: 'Landslide',
+  type: 'classes',
+  metrics: {
+    area: 'Landslide_Area_km2',
+    score: 'Risk_Score',
+    index: 'Risk_Score',
+    provinceIndex: 'Province_Risk_Score'
+  },
+  defaults: DEFAULTS,
+  configure: configure,
+  buildHazard: buildHazard,
+  statisticBands: statisticBands,
+  llgMetrics: llgMetrics,
+  provinceMetrics: provinceMetrics,
+  nationalMetrics: nationalMetrics
+});
+
+exports.TRIGGERS = TRIGGERS;
+exports.RISK_CLASSES = RISK_CLASSES;
+exports.SCORING_METHODS = SCORING_METHODS;
+
+exports.loadLandslideData = loadLandslideData;
+exports.maskValidRiskLevels = maskValidRiskLevels;
+exports.combineLandslideHazards = combineLandslideHazards;
+exports.reclassifyRisk = reclassifyRisk;
+exports.createTerrainAdjustment = createTerrainAdjustment;
+exports.downscaleLandslideData = downscaleLandslideData;
+exports.createRiskLevels = createRiskLevels;
+exports.createTriggerAttribution = createTriggerAttribution;
+exports.createFlowDirection = createFlowDirection;
+exports.propagateRunout = propagateRunout;
+exports.createRunoutZone = createRunoutZone;
+exports.dominantTrigger = dominantTrigger;
+exports.percentileRiskLevel = percentileRiskLevel;
+exports.calculateDownscalingComparison = calculateDownscalingComparison;
+exports.aggregateDownscalingComparison = aggregateDownscalingComparison;
+exports.runDownscalingComparison = runDownscalingComparison;
@@ -0,0 +1,753 @@
+/**
+ * ============================================================================
+ * RIVERINE FLOOD HAZARD PLUGIN
+ * ============================================================================
+ *
+ * Purpose: Supplies the binary riverine flood mask and flood metric names to
+ *          the shared hazard exposure library (lib/PNG_HazardExposure.js).
+ *          Also runs LLG statistics across any subset of the Aqueduct
+ *          scenario registry in one pass (long-format scenario sweep) and
+ *          integrates the return-period curve into Expected Annual Exposed
+ *          Population (EAE). Flood depths are also reported in configurable
+ *          depth classes.
+ *
+ * Data Sources:
+ *   - River flood projections: WRI Aqueduct Floods (historical baseline,
+ *     RCP 4.5 and RCP 8.5; 2030/2050/2080; 2- to 1000-year return periods)
+ *   - Default scenario: RCP 8.5, 2030, 25-year return period
+ *
+ * Date: December 2024
+ * ============================================================================
+ */
+
+var lib = require('users/penkamichel/png-multi-hazard-assessment:lib/PNG_HazardExposure');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var DEFAULTS = {
+  // Asset paths ({scenario}, {returnPeriod} and {year} are substituted)
+  assetPaths: {
+    flood_template: 'projects/sample-task-app-0nnek4/assets/r_flood_{scenario}_{returnPeriod}_{year}'
+  },
+
+  // Scenario analysed by the main pipeline
+  floodScenario: {
+    scenario: 'rcp8p5',
+    year: 2030,
+    returnPeriod: 25
+  },
+
+  // Scenario sweep (long-format table across scenarios, years and return periods)
+  scenarioSweep: {
+    scenarios: ['historical', 'rcp4p5', 'rcp8p5'],
+    years: [2030, 2050, 2080],
+    returnPeriods: [25, 100, 250]
+  },
+
+  // Expected annual exposed population (EAE): return periods of the
+  // selected scenario and year forming the exceedance-probability curve
+  eae: {
+    enabled: false,             // Needs every return period below uploaded
+    returnPeriods: [2, 5, 10, 25, 50, 100, 250, 500, 1000]
+  },
+
+  // Minimum flood depth (m) counted as flooded; 0 counts any depth > 0
+  minDepth: 0,
+
+  // Flood depth classes (m): depth > min and ≤ max (max null = open-ended);
+  // palettes.depthClasses needs one color per class
+  depthBands: [
+    {min: 0, max: 0.15, label: '0–0.15 m', prefix: 'Depth_Very_Shallow'},
+    {min: 0.15, max: 0.5, label: '0.15–0.5 m', prefix: 'Depth_Shallow'},
+    {min: 0.5, max: 1.5, label: '0.5–1.5 m', prefix: 'Depth_Moderate'},
+    {min: 1.5, max: null, label: '> 1.5 m', prefix: 'Depth_Deep'}
+  ],
+
+  // Analysis parameters
+  scale: 30,                    // Spatial resolution in meters
+
+  // Color palettes
+  palettes: {
+    floodArea: ['#0000ff'],
+    depthClasses: ['#c6dbef', '#6baed6', '#2171b5', '#08306b'],
+    exposedPop: ['#ff8c00'],
+    riskGradient: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1',
+                   '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
+  },
+
+  // Legend and LLG choropleth
+  legend: {
+    title: 'Flood Exposure Ratio',
+    property: 'Exposure_Ratio',
+    layerName: 'Exposure Ratio (LLG Level)',
+    min: 0,
+    max: 1,
+    labels: ['0.00', '0.50', '1.00'],
+    rankProperty: 'Exposure_Ratio',
+    rankTitle: 'Top 5 Provinces by Exposure Ratio',
+    rankFormat: 'percent',
+    extraTotals: [
+      {property: 'EAE_Population', label: 'Expected Annual Exposed Population'}
+    ]
+  },
+
+  // Export settings
+  exportDescriptions: {
+    llg: 'PNG_LLG_Flood_Risk_Analysis',
+    province: 'PNG_Province_Flood_Risk_Summary',
+    scenarioLLG: 'PNG_LLG_Flood_Scenario_Sweep',
+    scenarioProvince: 'PNG_Province_Flood_Scenario_Sweep'
+  },
+  consoleTitle: 'PNG FLOOD RISK ANALYSIS'
+};
+
+DEFAULTS.legend.palette = DEFAULTS.palettes.riskGradient;
+
+// ============================================================================
+// SCENARIO REGISTRY
+// ============================================================================
+
+// Aqueduct climate scenarios and the projection years available for each
+var SCENARIOS = {
+  historical: {label: 'Historical Baseline', years: [1980]},
+  rcp4p5: {label: 'RCP 4.5', years: [2030, 2050, 2080]},
+  rcp8p5: {label: 'RCP 8.5', years: [2030, 2050, 2080]}
+};
+
+// Aqueduct return periods (years)
+var RETURN_PERIODS = [2, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+/**
+ * Validate and describe one flood scenario
+ * @param {string} scenario - Scenario id (key of SCENARIOS)
+ * @param {number} year - Projection year
+ * @param {number} returnPeriod - Return period in years
+ * @return {Object} Scenario descriptor: key, scenario, label, year,
+ *                  returnPeriod
+ */
+function describeScenario(scenario, year, returnPeriod) {
+  var definition = SCENARIOS[scenario];
+  if (!definition) {
+    throw new Error('Unknown flood scenario: ' + scenario);
+  }
+  if (definition.years.indexOf(year) === -1) {
+    throw new Error('Flood scenario ' + scenario + ' has no year ' + year);
+  }
+  if (RETURN_PERIODS.indexOf(returnPeriod) === -1) {
+    throw new Error('Unsupported flood return period: ' + returnPeriod);
+  }
+
+  return {
+    key: scenario + '_' + year + '_rp' + returnPeriod,
+    scenario: scenario,
+    label: definition.label,
+    year: year,
+    returnPeriod: returnPeriod
+  };
+}
+
+/**
+ * Expand sweep settings into the list of scenarios to analyse
+ * The historical baseline is always run at its own baseline year
+ *
+ * @param {Object} sweep - {scenarios, years, returnPeriods}
+ * @return {Array<Object>} Scenario descriptors (see describeScenario)
+ */
+function expandScenarios(sweep) {
+  var descriptors = [];
+
+  sweep.scenarios.forEach(function(scenario) {
+    var definition = SCENARIOS[scenario];
+    if (!definition) {
+      throw new Error('Unknown flood scenario: ' + scenario);
+    }
+    var years = scenario === 'historical' ? definition.years : sweep.years;
+
+    years.forEach(function(year) {
+      sweep.returnPeriods.forEach(function(returnPeriod) {
+        descriptors.push(describeScenario(scenario, year, returnPeriod));
+      });
+    });
+  });
+
+  return descriptors;
+}
+
+/**
+ * Resolve the asset path of one flood scenario
+ * @param {Object} descriptor - Scenario descriptor (see describeScenario)
+ * @param {Object} config - Run configuration
+ * @return {string} Asset path
+ */
+function getFloodAssetPath(descriptor, config) {
+  return config.assetPaths.flood_template
+    .replace('{scenario}', descriptor.scenario)
+    .replace('{returnPeriod}', descriptor.returnPeriod)
+    .replace('{year}', descriptor.year);
+}
+
+// ============================================================================
+// HAZARD FUNCTIONS
+// ============================================================================
+
+/**
+ * Load river flood projection data
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @param {Object} descriptor - Optional scenario descriptor; defaults to
+ *                              config.floodScenario
+ * @return {ee.Image} Flood depth image
+ */
+function loadFloodData(region, config, descriptor) {
+  var selected = descriptor || describeScenario(
+    config.floodScenario.scenario,
+    config.floodScenario.year,
+    config.floodScenario.returnPeriod
+  );
+
+  return ee.Image(getFloodAssetPath(selected, config))
+    .clip(region);
+}
+
+/**
+ * Create binary flood mask (areas deeper than the minimum depth)
+ * @param {ee.Image} floodImage - Flood depth image
+ * @param {number} minDepth - Optional minimum depth in meters (default 0)
+ * @return {ee.Image} Binary flood mask
+ */
+function createFloodMask(floodImage, minDepth) {
+  return floodImage.gt(minDepth || 0).selfMask();
+}
+
+/**
+ * Classify flood depth into the configured depth bands
+ * @param {ee.Image} floodImage - Flood depth image
+ * @param {Object} config - Run configuration
+ * @return {ee.Image} Depth class (1..n in config.depthBands order)
+ */
+function createDepthClassImage(floodImage, config) {
+  var depth = floodImage.select([0], ['Depth_Class']);
+  var classes = ee.Image(0).rename('Depth_Class');
+
+  config.depthBands.forEach(function(band, i) {
+    var inBand = depth.gt(Math.max(band.min, config.minDepth));
+    if (band.max !== null) {
+      inBand = inBand.and(depth.lte(band.max));
+    }
+    classes = classes.where(inBand, i + 1);
+  });
+
+  return classes.updateMask(classes.gt(0));
+}
+
+/**
+ * Check the merged configuration before any data is loaded
+ * @param {Object} config - Merged run configuration
+ * @return {Object} Run configuration
+ */
+function configure(config) {
+  if (config.palettes.depthClasses.length < config.depthBands.length) {
+    throw new Error('palettes.depthClasses needs ' + config.depthBands.length + ' colors for ' +
+                    config.depthBands.length + ' depthBands, got ' + config.palettes.depthClasses.length);
+  }
+  return config;
+}
+
+/**
+ * Build the flood hazard mask and its map layers
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {Object} Hazard image and map layers
+ */
+function buildHazard(region, config) {
+  var floodDepth = loadFloodData(region, config);
+  var floodMask = createFloodMask(floodDepth, config.minDepth);
+  var depthClasses = createDepthClassImage(floodDepth, config);
+
+  return {
+    image: floodMask,
+    depthClasses: depthClasses,
+    returnPeriodMasks: config.eae.enabled ? createReturnPeriodMasks(region, config) : null,
+    layers: [
+      {
+        image: floodMask,
+        vis: {palette: config.palettes.floodArea, min: 0, max: 1},
+        name: 'Flood Hazard Area'
+      },
+      {
+        image: depthClasses,
+        vis: {min: 1, max: config.depthBands.length, palette: config.palettes.depthClasses},
+        name: 'Flood Depth Classes',
+        legend: {
+          title: 'Flood Depth',
+          items: config.depthBands.map(function(band, i) {
+            return {color: config.palettes.depthClasses[i], label: band.label};
+          })
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Extra console lines describing the flood run
+ * @param {Object} config - Run configuration
+ * @return {Array<string>} Console lines
+ */
+function summaryLines(config) {
+  var scenario = config.floodScenario;
+  return ['Scenario: ' + SCENARIOS[scenario.scenario].label + ', ' + scenario.year +
+          ', ' + scenario.returnPeriod + '-year return period'];
+}
+
+/**
+ * Hazard time horizon used as the population projection target year
+ * @param {Object} config - Run configuration
+ * @return {number} Scenario year
+ */
+function hazardYear(config) {
+  return config.floodScenario.year;
+}
+
+/**
+ * Configuration of the present-day flood for the projection decomposition
+ * Historical baseline at the same return period
+ *
+ * @param {Object} config - Run configuration
+ * @return {Object} Baseline configuration
+ */
+function baselineConfig(config) {
+  return lib.mergeConfig(config, {
+    floodScenario: {scenario: 'historical', year: SCENARIOS.historical.years[0]}
+  });
+}
+
+// ============================================================================
+// EXPECTED ANNUAL EXPOSED POPULATION (EAE)
+// ============================================================================
+
+/**
+ * Return periods of the EAE curve in ascending order
+ * @param {Object} config - Run configuration
+ * @return {Array<number>} Return periods (years)
+ */
+function getCurveReturnPeriods(config) {
+  var returnPeriods = config.eae.returnPeriods.slice().sort(function(a, b) {
+    return a - b;
+  });
+  if (returnPeriods.length < 2) {
+    throw new Error('EAE needs at least two return periods');
+  }
+  return returnPeriods;
+}
+
+/**
+ * Create flood masks for every EAE return period of the selected scenario
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {Array<Object>} Masks as {returnPeriod, mask}
+ */
+function createReturnPeriodMasks(region, config) {
+  var scenario = config.floodScenario;
+
+  return getCurveReturnPeriods(config).map(function(returnPeriod) {
+    var descriptor = describeScenario(scenario.scenario, scenario.year, returnPeriod);
+    return {
+      returnPeriod: returnPeriod,
+      mask: createFloodMask(loadFloodData(region, config, descriptor), config.minDepth)
+    };
+  });
+}
+
+/**
+ * Integrate an exceedance-probability curve with the trapezoidal rule
+ * Events more frequent than the shortest return period are assumed to cause
+ * no exposure; events rarer than the longest return period are assumed to
+ * expose the same population as the longest return period
+ *
+ * @param {Array<Object>} points - Curve points as {probability, value},
+ *                                 ordered by decreasing probability
+ * @return {ee.Number} Expected annual value
+ */
+function integrateExceedanceCurve(points) {
+  var total = ee.Number(0);
+
+  for (var i = 0; i < points.length - 1; i++) {
+    var width = points[i].probability - points[i + 1].probability;
+    var meanValue = ee.Number(points[i].value).add(points[i + 1].value).divide(2);
+    total = total.add(meanValue.multiply(width));
+  }
+
+  // Rare-event tail
+  var last = points[points.length - 1];
+  return total.add(ee.Number(last.value).multiply(last.probability));
+}
+
+/**
+ * Exposed-population bands for each EAE return period
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} One band per return period
+ */
+function eaeBands(population, hazardData, config) {
+  if (!hazardData.returnPeriodMasks) {
+    return [];
+  }
+
+  return hazardData.returnPeriodMasks.map(function(item) {
+    return population.updateMask(item.mask).rename('eae_rp' + item.returnPeriod);
+  });
+}
+
+/**
+ * Curve points and EAE for one LLG
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function eaeLLGMetrics(stats, totalPop, config) {
+  if (!config.eae.enabled) {
+    return {};
+  }
+
+  var properties = {};
+  var points = getCurveReturnPeriods(config).map(function(returnPeriod) {
+    var exposed = lib.getNumber(stats, 'eae_rp' + returnPeriod).round();
+    properties['Exposed_Pop_RP' + returnPeriod] = exposed;
+    return {probability: 1 / returnPeriod, value: exposed};
+  });
+
+  var eae = integrateExceedanceCurve(points);
+  properties['EAE_Population'] = eae;
+  properties['EAE_Ratio'] = lib.safeDivide(eae, totalPop);
+  return properties;
+}
+
+/**
+ * Provincial curve points and EAE (sums of LLG values)
+ * @param {ee.FeatureCollection} filtered - LLG rows of one province
+ * @param {ee.Number} totalPop - Total provincial population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function eaeProvinceMetrics(filtered, totalPop, config) {
+  if (!config.eae.enabled) {
+    return {};
+  }
+
+  var properties = {};
+  getCurveReturnPeriods(config).forEach(function(returnPeriod) {
+    var field = 'Exposed_Pop_RP' + returnPeriod;
+    properties[field] = filtered.aggregate_sum(field);
+  });
+
+  var eae = filtered.aggregate_sum('EAE_Population');
+  properties['EAE_Population'] = eae;
+  properties['EAE_Ratio'] = lib.safeDivide(eae, totalPop);
+  return properties;
+}
+
+/**
+ * National curve points and EAE
+ * @param {Object} analysis - Analysis results (see lib.analyze)
+ * @return {Object} National totals
+ */
+function eaeNationalMetrics(analysis) {
+  var config = analysis.config;
+  if (!config.eae.enabled) {
+    return {};
+  }
+
+  var totals = {};
+  getCurveReturnPeriods(config).forEach(function(returnPeriod) {
+    var field = 'Exposed_Pop_RP' + returnPeriod;
+    totals[field] = analysis.llgStats.aggregate_sum(field);
+  });
+  totals['EAE_Population'] = analysis.llgStats.aggregate_sum('EAE_Population');
+  return totals;
+}
+
+// ============================================================================
+// FLOOD DEPTH CLASSES
+// ============================================================================
+
+/**
+ * Exposed-population and flooded-area bands for each depth class
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Two bands per depth class
+ */
+function depthBands(population, hazardData, config) {
+  var bands = [];
+
+  config.depthBands.forEach(function(band, i) {
+    var inClass = hazardData.depthClasses.eq(i + 1).selfMask();
+    bands.push(population.updateMask(inClass).rename('depth_pop_' + i));
+    bands.push(lib.createAreaImage(inClass).rename('depth_area_' + i));
+  });
+
+  return bands;
+}
+
+/**
+ * Exposed population and flooded area per depth class for one LLG
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function depthLLGMetrics(stats, config) {
+  var properties = {};
+
+  config.depthBands.forEach(function(band, i) {
+    properties[band.prefix + '_Population'] = lib.getNumber(stats, 'depth_pop_' + i).round();
+    properties[band.prefix + '_Area_km2'] = lib.getNumber(stats, 'depth_area_' + i);
+  });
+
+  return properties;
+}
+
+/**
+ * Sum depth-class fields over a set of LLG rows
+ * @param {ee.FeatureCollection} llgRows - LLG statistics
+ * @param {Object} config - Run configuration
+ * @return {Object} Summed properties
+ */
+function sumDepthFields(llgRows, config) {
+  var properties = {};
+
+  config.depthBands.forEach(function(band) {
+    properties[band.prefix + '_Population'] = llgRows.aggregate_sum(band.prefix + '_Population');
+    properties[band.prefix + '_Area_km2'] = llgRows.aggregate_sum(band.prefix + '_Area_km2');
+  });
+
+  return properties;
+}
+
+/**
+ * Depth classes used to break down exposed buildings
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Object} {image, classes} (see lib.getExposureClasses)
+ */
+function exposureClasses(hazardData, config) {
+  return {
+    image: hazardData.depthClasses,
+    classes: config.depthBands.map(function(band, i) {
+      return {value: i + 1, prefix: band.prefix};
+    })
+  };
+}
+
+// ============================================================================
+// STATISTICS HOOKS
+// ============================================================================
+
+/**
+ * Extra bands summed per LLG: EAE curve and depth classes
+ * @param {ee.Image} population - Population image
+ * @param {Object} hazardData - buildHazard output
+ * @param {Object} config - Run configuration
+ * @return {Array<ee.Image>} Extra statistic bands
+ */
+function statisticBands(population, hazardData, config) {
+  return eaeBands(population, hazardData, config)
+    .concat(depthBands(population, hazardData, config));
+}
+
+/**
+ * Extra LLG properties: EAE curve and depth classes
+ * @param {ee.Dictionary} stats - Band sums
+ * @param {ee.Number} totalPop - Total LLG population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function llgMetrics(stats, totalPop, config) {
+  return lib.mergeConfig(
+    eaeLLGMetrics(stats, totalPop, config),
+    depthLLGMetrics(stats, config)
+  );
+}
+
+/**
+ * Extra provincial properties: EAE curve and depth classes
+ * @param {ee.FeatureCollection} filtered - LLG rows of one province
+ * @param {ee.Number} totalPop - Total provincial population
+ * @param {Object} config - Run configuration
+ * @return {Object} Feature properties
+ */
+function provinceMetrics(filtered, totalPop, config) {
+  return lib.mergeConfig(
+    eaeProvinceMetrics(filtered, totalPop, config),
+    sumDepthFields(filtered, config)
+  );
+}
+
+/**
+ * Extra national totals: EAE curve and depth classes
+ * @param {Object} analysis - Analysis results (see lib.analyze)
+ * @return {Object} National totals
+ */
+function nationalMetrics(analysis) {
+  return lib.mergeConfig(
+    eaeNationalMetrics(analysis),
+    sumDepthFields(analysis.llgStats, analysis.config)
+  );
+}
+
+// ============================================================================
+// SCENARIO SWEEP
+// ============================================================================
+
+/**
+ * Calculate flood statistics for each LLG across several scenarios
+ * Reduces one multi-band image (two bands per scenario) once per LLG and
+ * returns a long-format table with one row per LLG and scenario
+ *
+ * @param {ee.FeatureCollection} boundaries - LLG boundaries
+ * @param {ee.Image} population - Population image
+ * @param {Array<Object>} descriptors - Scenario descriptors
+ * @param {ee.Geometry} region - Study area geometry
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Long-format LLG statistics
+ */
+function calculateScenarioStatistics(boundaries, population, descriptors, region, config) {
+  var plugin = lib.getHazard('riverine_flood');
+  var pop = population.select([0], ['total_pop']);
+  var bands = [pop, lib.createAreaImage().rename('land_area')];
+
+  descriptors.forEach(function(descriptor, i) {
+    var floodMask = createFloodMask(loadFloodData(region, config, descriptor), config.minDepth);
+    bands.push(pop.updateMask(floodMask).rename('exposed_pop_' + i));
+    bands.push(lib.createAreaImage(floodMask).rename('hazard_area_' + i));
+  });
+  var multiband = ee.Image(bands);
+
+  return boundaries.map(function(feature) {
+    var stats = lib.reduceSum(multiband, feature.geometry(), config);
+    var totalPop = lib.getNumber(stats, 'total_pop').round();
+
+    var rows = descriptors.map(function(descriptor, i) {
+      var scenarioStats = ee.Dictionary({
+        'exposed_pop': lib.getNumber(stats, 'exposed_pop_' + i),
+        'hazard_area': lib.getNumber(stats, 'hazard_area_' + i),
+        'land_area': lib.getNumber(stats, 'land_area')
+      });
+
+      var properties = lib.mergeConfig(
+        lib.maskMetrics(plugin, scenarioStats, totalPop),
+        lib.areaMetrics(plugin, scenarioStats)
+      );
+      properties['LLG_Population'] = totalPop;
+      properties['Scenario_Key'] = descriptor.key;
+      properties['Scenario'] = descriptor.label;
+      properties['Year'] = descriptor.year;
+      properties['Return_Period'] = descriptor.returnPeriod;
+
+      return feature.set(properties);
+    });
+
+    return ee.FeatureCollection(rows);
+  }).flatten();
+}
+
+/**
+ * Aggregate long-format scenario statistics to provincial level
+ * @param {ee.FeatureCollection} scenarioStats - Long-format LLG statistics
+ * @param {Array<Object>} descriptors - Scenario descriptors
+ * @param {Object} config - Run configuration
+ * @return {ee.FeatureCollection} Long-format provincial statistics
+ */
+function aggregateScenarioStatistics(scenarioStats, descriptors, config) {
+  // Sweep rows carry no depth or curve columns, so skip the plugin hooks
+  var plugin = lib.corePlugin(lib.getHazard('riverine_flood'));
+
+  var tables = descriptors.map(function(descriptor) {
+    var filtered = scenarioStats.filter(ee.Filter.eq('Scenario_Key', descriptor.key));
+
+    return lib.aggregateToProvinceLevel(plugin, filtered, config).map(function(feature) {
+      return feature.set({
+        'Scenario_Key': descriptor.key,
+        'Scenario': descriptor.label,
+        'Year': descriptor.year,
+        'Return_Period': descriptor.returnPeriod
+      });
+    });
+  });
+
+  return ee.FeatureCollection(tables).flatten();
+}
+
+/**
+ * Run and export the scenario sweep configured in config.scenarioSweep
+ * @param {Object} analysis - Flood analysis results (see lib.analyze)
+ * @return {Object} Sweep results: descriptors, llgStats, provinceStats
+ */
+function runScenarioSweep(analysis) {
+  var config = analysis.config;
+  var descriptors = expandScenarios(config.scenarioSweep);
+
+  var llgStats = calculateScenarioStatistics(
+    analysis.boundaries, analysis.population, descriptors,
+    analysis.region.geometry(), config
+  );
+  var provinceStats = aggregateScenarioStatistics(llgStats, descriptors, config);
+
+  lib.exportTable(llgStats, config.exportDescriptions.scenarioLLG, config);
+  lib.exportTable(provinceStats, config.exportDescriptions.scenarioProvince, config);
+
+  print('Scenario sweep:', descriptors.map(function(d) { return d.key; }));
+  print('Scenario sweep (provincial sample):', provinceStats.limit(10));
+
+  return {
+    descriptors: descriptors,
+    llgStats: llgStats,
+    provinceStats: provinceStats
+  };
+}
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+exports.plugin = lib.registerHazard({
+  id: 'riverine_flood',
+  name: 'Riverine Flood',
+  fieldPrefix: 'Flood',
+  type: 'mask',
+  metrics: {
+    area: 'Flood_Area_km2',
+    index: 'Exposure_Ratio',
+    provinceIndex: 'Exposure_Ratio'
+  },
+  defaults: DEFAULTS,
+  configure: configure,
+  buildHazard: buildHazard,
+  summaryLines: summaryLines,
+  hazardYear: hazardYear,
+  baselineConfig: baselineConfig,
+  exposureClasses: exposureClasses,
+  statisticBands: statisticBands,
+  llgMetrics: llgMetrics,
+  provinceMetrics: provinceMetrics,
+  nationalMetrics: nationalMetrics
+});
+
+exports.SCENARIOS = SCENARIOS;
+exports.RETURN_PERIODS = RETURN_PERIODS;
+
+exports.describeScenario = describeScenario;
+exports.expandScenarios = expandScenarios;
+exports.getFloodAssetPath = getFloodAssetPath;
+exports.loadFloodData = loadFloodData;
+exports.createFloodMask = createFloodMask;
+exports.createDepthClassImage = createDepthClassImage;
+exports.createReturnPeriodMasks = createReturnPeriodMasks;
+exports.integrateExceedanceCurve = integrateExceedanceCurve;
+exports.calculateScenarioStatistics = calculateScenarioStatistics;
+exports.aggregateScenarioStatistics = aggregateScenarioStatistics;
+exports.runScenarioSweep = runScenarioSweep;